@@ -3,554 +3,1091 @@
  * A reactive template binding system and web component toolkit for rapid HTML prototyping.
  * 
  * Provides:
- * - Reactive template bindings (interpolation, property, event, attribute, conditional, two-way, list)
+ * - Reactive template bindings (interpolation, property, event, attribute, conditional, visibility, two-way, model, list, ref)
+ * - Expression evaluation (expressionEvaluator, setExpressionMode, parseExpression)
  * - DOM utilities (parseToFragment, updateIDs, fetchText)
- * - Component coordination (componentsReady)
+ * - Batched updates (nextTick, setSchedulerMode)
+ * - Components (defineComponent, componentsReady, autoloadComponents)
+ * - Context (provide, inject)
  * 
  * @requires @vue/reactivity
  */
 
 // Import Vue reactivity from npm package
-import { reactive, effect } from "@vue/reactivity";
+import {
+  reactive,
+  shallowReactive,
+  toRaw,
+  effect,
+  stop,
+  pauseTracking,
+  resetTracking,
+} from "@vue/reactivity";
 
-// Base plugin class
-export class BindingPlugin {
-  constructor(name, selector) {
-    this.name = name;
-    this.selector = selector;
+// Expression evaluation
+//
+// Every plugin evaluates binding expressions through the shared
+// `expressionEvaluator`, which compiles each source text once and caches
+// the result. Templates compile with `new Function` + `with` by default.
+// Pages served under a Content-Security-Policy without 'unsafe-eval' can
+// switch to the built-in interpreter with setExpressionMode("csp"). It
+// supports the subset templates use: literals (including template strings),
+// member access, optional chaining, calls, `new`, unary/binary/logical
+// operators, ternaries, assignments, updates, arrow functions with
+// expression bodies, and `;`-separated statements for event handlers.
+
+export class ExpressionEvaluator {
+  // Returned by evaluate() when an expression throws and no fallback is given
+  static failed = Symbol("ExpressionEvaluator.failed");
+  
+  constructor() {
+    this.mode = "function";
+    this.cache = new Map();
   }
   
-  discover(root) {
-    if (!this.selector) return [];
-    return [...root.querySelectorAll(this.selector)];
+  setMode(mode) {
+    if (mode !== "function" && mode !== "csp") {
+      throw new Error(`Unknown expression mode: ${mode} (expected "function" or "csp")`);
+    }
+    this.mode = mode;
   }
   
-  initialize(element, instance) {
-    // Override in subclasses
-    return {};
+  // Compile `source` into a function of (scope, ...args). Identifiers
+  // resolve against `params` first, then the scope, then globals. Results,
+  // including syntax errors, are cached by mode, params and source text.
+  compile(source, params = [], { statements = false } = {}) {
+    const key = `${this.mode}|${statements}|${params.join(",")}|${source}`;
+    let compiled = this.cache.get(key);
+    
+    if (!compiled) {
+      try {
+        compiled = this.mode === "csp"
+          ? compileInterpreted(source, params)
+          : compileFunction(source, params, statements);
+      } catch (error) {
+        compiled = () => {
+          throw error;
+        };
+      }
+      this.cache.set(key, compiled);
+    }
+    
+    return compiled;
   }
   
-  update(element, instance, metadata) {
-    // Override in subclasses
+  // Evaluate `source` against `scope`. Errors are reported the same way for
+  // every binding and replaced by `fallback`.
+  evaluate(source, scope, {
+    params = [],
+    args = [],
+    statements = false,
+    label = "Expression",
+    fallback = ExpressionEvaluator.failed,
+  } = {}) {
+    try {
+      return this.compile(source, params, { statements })(scope, ...args);
+    } catch (error) {
+      console.warn(`${label} error for ${source}:`, error.message);
+      return fallback;
+    }
   }
   
-  cleanup(element, metadata) {
-    // Override in subclasses
+  clear() {
+    this.cache.clear();
   }
 }
 
-// Text interpolation plugin for {{ expression }}
-export class InterpolationPlugin extends BindingPlugin {
-  constructor() {
-    super("interpolation", null);
-  }
+export const expressionEvaluator = new ExpressionEvaluator();
 
-  discover(root) {
-    const textNodes = [];
-    const walker = document.createTreeWalker(
-      root,
-      NodeFilter.SHOW_TEXT,
-      {
-        acceptNode: (node) => {
-          return /\{\{.*?\}\}/.test(node.textContent) 
-            ? NodeFilter.FILTER_ACCEPT 
-            : NodeFilter.FILTER_REJECT;
-        },
-      },
-    );
-    
-    let node;
-    while (node = walker.nextNode()) {
-      textNodes.push(node);
+export function setExpressionMode(mode) {
+  expressionEvaluator.setMode(mode);
+}
+
+function compileFunction(source, params, statements) {
+  const body = statements ? `${source};` : `return ${source};`;
+  return new Function("instance", ...params, `
+    with (instance) {
+      ${body}
     }
-    return textNodes;
-  }
+  `);
+}
+
+function compileInterpreted(source, params) {
+  const ast = parseExpression(source);
+  return (scope, ...args) => {
+    const locals = {};
+    params.forEach((name, index) => {
+      locals[name] = args[index];
+    });
+    return interpret(ast, { scope, locals, parent: null });
+  };
+}
+
+const punctuators = [
+  ">>>=", "...", "===", "!==", "**=", ">>>", "<<=", ">>=", "&&=", "||=",
+  "??=", "=>", "==", "!=", "<=", ">=", "&&", "||", "??", "?.", "++", "--",
+  "+=", "-=", "*=", "/=", "%=", "&=", "|=", "^=", "**", "<<", ">>",
+  "+", "-", "*", "/", "%", "<", ">", "=", "!", "~", "?", ":", ".", ",",
+  ";", "(", ")", "[", "]", "{", "}", "&", "|", "^",
+];
+
+const escapes = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", v: "\v", 0: "\0" };
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
   
-  initialize(textNode, instance) {
-    const text = textNode.textContent;
-    const parts = [];
-    
-    let lastIndex = 0;
-    const regex = /\{\{(.*?)\}\}/g;
-    let match;
-    
-    while ((match = regex.exec(text)) !== null) {
-      if (match.index > lastIndex) {
-        parts.push({
-          type: "static",
-          content: text.slice(lastIndex, match.index),
-        });
-      }
-      
-      parts.push({
-        type: "expression",
-        content: match[1].trim(),
-        // literal double curlies breaks VS Code syntax highlighting
-        placeholder: "{".repeat(2) + match[1] + "}".repeat(2),
-      });
-      
-      lastIndex = regex.lastIndex;
+  const fail = (message) => {
+    throw new SyntaxError(`${message} at position ${i} in: ${source}`);
+  };
+  
+  const readEscape = () => {
+    const char = source[i++];
+    if (char === "u") {
+      const hex = source[i] === "{"
+        ? source.slice(i + 1, source.indexOf("}", i))
+        : source.slice(i, i + 4);
+      i += source[i] === "{" ? hex.length + 2 : 4;
+      return String.fromCodePoint(parseInt(hex, 16));
     }
+    if (char === "x") {
+      i += 2;
+      return String.fromCharCode(parseInt(source.slice(i - 2, i), 16));
+    }
+    return escapes[char] ?? char;
+  };
+  
+  while (i < source.length) {
+    const char = source[i];
     
-    if (lastIndex < text.length) {
-      parts.push({
-        type: "static",
-        content: text.slice(lastIndex),
-      });
+    if (/\s/.test(char)) {
+      i++;
+      continue;
     }
     
-    const nodes = [];
-    const parent = textNode.parentNode;
-    const nextSibling = textNode.nextSibling;
+    const start = i;
     
-    parts.forEach(part => {
-      const node = document.createTextNode(
-        part.type === "static" ? part.content : part.placeholder
+    if (/[0-9]/.test(char) || (char === "." && /[0-9]/.test(source[i + 1]))) {
+      const match = source.slice(i).match(
+        /^(0[xX][0-9a-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(\d[\d_]*)?\.?\d*([eE][+-]?\d+)?)/
       );
-      parent.insertBefore(node, nextSibling);
-      nodes.push({
-        node,
-        ...part,
-      });
-    });
+      i += match[0].length;
+      tokens.push({ type: "num", value: Number(match[0].replace(/_/g, "")), start });
+      continue;
+    }
     
-    parent.removeChild(textNode);
+    if (/[A-Za-z_$]/.test(char)) {
+      const match = source.slice(i).match(/^[A-Za-z0-9_$]+/);
+      i += match[0].length;
+      tokens.push({ type: "name", value: match[0], start });
+      continue;
+    }
     
-    return {
-      parts: nodes,
-      originalText: text,
-    };
-  }
-  
-  update(originalTextNode, instance, metadata) {
-    metadata.parts.forEach(part => {
-      if (part.type === "expression") {
-        try {
-          const func = new Function("instance", `with (instance) { return ${part.content}; }`);
-          const value = func(instance);
-          part.node.textContent = value != null ? String(value) : "";
-        } catch (error) {
-          part.node.textContent = part.placeholder;
+    if (char === "\"" || char === "'") {
+      let value = "";
+      i++;
+      while (source[i] !== char) {
+        if (i >= source.length) fail("Unterminated string");
+        if (source[i] === "\\") {
+          i++;
+          value += readEscape();
+        } else {
+          value += source[i++];
         }
       }
-    });
+      i++;
+      tokens.push({ type: "str", value, start });
+      continue;
+    }
+    
+    if (char === "`") {
+      const quasis = [];
+      const expressions = [];
+      let value = "";
+      i++;
+      while (source[i] !== "`") {
+        if (i >= source.length) fail("Unterminated template literal");
+        if (source[i] === "\\") {
+          i++;
+          value += readEscape();
+        } else if (source[i] === "$" && source[i + 1] === "{") {
+          // Find the matching brace, skipping over nested strings
+          let depth = 1;
+          let j = i + 2;
+          while (depth > 0) {
+            if (j >= source.length) fail("Unterminated template expression");
+            const inner = source[j];
+            if (inner === "\"" || inner === "'" || inner === "`") {
+              j++;
+              while (source[j] !== inner && j < source.length) {
+                j += source[j] === "\\" ? 2 : 1;
+              }
+            } else if (inner === "{") {
+              depth++;
+            } else if (inner === "}") {
+              depth--;
+            }
+            j++;
+          }
+          quasis.push(value);
+          expressions.push(parseExpression(source.slice(i + 2, j - 1)));
+          value = "";
+          i = j;
+        } else {
+          value += source[i++];
+        }
+      }
+      i++;
+      quasis.push(value);
+      tokens.push({ type: "template", quasis, expressions, start });
+      continue;
+    }
+    
+    const punctuator = punctuators.find(p => source.startsWith(p, i));
+    if (!punctuator) fail(`Unexpected character '${char}'`);
+    // "a?.5:1" is a ternary, not optional chaining
+    if (punctuator === "?." && /[0-9]/.test(source[i + 2])) {
+      tokens.push({ type: "punc", value: "?", start });
+      i++;
+      continue;
+    }
+    tokens.push({ type: "punc", value: punctuator, start });
+    i += punctuator.length;
   }
+  
+  tokens.push({ type: "eof", value: null, start: i });
+  return tokens;
 }
 
-// Property binding plugin for .property="value"
-export class PropertyBindingPlugin extends BindingPlugin {
-  constructor() {
-    super("property", null);
+const binaryPrecedence = {
+  "??": 1,
+  "||": 2,
+  "&&": 3,
+  "|": 4,
+  "^": 5,
+  "&": 6,
+  "==": 7, "!=": 7, "===": 7, "!==": 7,
+  "<": 8, ">": 8, "<=": 8, ">=": 8, "instanceof": 8, "in": 8,
+  "<<": 9, ">>": 9, ">>>": 9,
+  "+": 10, "-": 10,
+  "*": 11, "/": 11, "%": 11,
+  "**": 12,
+};
+
+const assignmentOperators = [
+  "=", "+=", "-=", "*=", "/=", "%=", "**=", "<<=", ">>=", ">>>=",
+  "&=", "|=", "^=", "&&=", "||=", "??=",
+];
+
+// Parse an expression (or `;`-separated expressions) into an AST
+export function parseExpression(source) {
+  const tokens = tokenize(source);
+  let position = 0;
+  
+  const peek = (offset = 0) => tokens[position + offset];
+  const next = () => tokens[position++];
+  const is = (value, offset = 0) => {
+    const token = peek(offset);
+    return (token.type === "punc" || token.type === "name") && token.value === value;
+  };
+  const fail = (token = peek()) => {
+    const found = token.type === "eof" ? "end of expression" : `'${token.value ?? "`"}'`;
+    throw new SyntaxError(`Unexpected ${found} at position ${token.start} in: ${source}`);
+  };
+  const expect = (value) => {
+    if (!is(value)) fail();
+    return next();
+  };
+  const eat = (value) => {
+    if (is(value)) {
+      next();
+      return true;
+    }
+    return false;
+  };
+  
+  function parseProgram() {
+    const body = [];
+    while (peek().type !== "eof") {
+      if (eat(";")) continue;
+      body.push(parseSequence());
+      if (peek().type !== "eof") expect(";");
+    }
+    return body.length === 1 ? body[0] : { type: "Program", body };
   }
   
-  discover(root) {
-    const elements = [];
-    const walker = document.createTreeWalker(
-      root,
-      NodeFilter.SHOW_ELEMENT,
-      null,
-    );
-    
-    let node;
-    while (node = walker.nextNode()) {
-      for (const attr of node.attributes) {
-        if (attr.name.startsWith(".")) {
-          elements.push({ element: node, attribute: attr.name });
-        }
-      }
+  function parseSequence() {
+    const expressions = [parseAssignment()];
+    while (eat(",")) {
+      expressions.push(parseAssignment());
     }
-    return elements;
+    return expressions.length === 1
+      ? expressions[0]
+      : { type: "Sequence", expressions };
   }
   
-  initialize({ element, attribute }, instance) {
-    const expression = element.getAttribute(attribute);
-    const propName = attribute.slice(1); // Remove the "."
+  function parseArrowParams() {
+    // Single bare parameter: x => ...
+    if (peek().type === "name" && is("=>", 1)) {
+      const name = next().value;
+      next();
+      return [name];
+    }
     
-    return {
-      attribute,
-      propName,
-      expression,
-      originalValue: element[propName],
-    };
+    // Parenthesized parameters: (a, b) => ...
+    if (!is("(")) return null;
+    const saved = position;
+    next();
+    const params = [];
+    while (!is(")")) {
+      if (peek().type !== "name") {
+        position = saved;
+        return null;
+      }
+      params.push(next().value);
+      if (!eat(",")) break;
+    }
+    if (!eat(")") || !eat("=>")) {
+      position = saved;
+      return null;
+    }
+    return params;
   }
   
-  update(element, instance, metadata) {
-    const { propName, expression } = metadata;
+  function parseAssignment() {
+    const params = parseArrowParams();
+    if (params) {
+      if (is("{")) {
+        throw new SyntaxError(`Arrow function block bodies are not supported in: ${source}`);
+      }
+      return { type: "Arrow", params, body: parseAssignment() };
+    }
     
-    try {
-      const func = new Function("instance", `
-        with (instance) {
-          return ${expression};
-        }
-      `);
-      const value = func(instance);
-      element[propName] = value;
-    } catch (error) {
-      console.warn(
-        `Property binding error for ${propName}:`,
-        error.message
-      );
-      element[propName] = metadata.originalValue;
+    const left = parseConditional();
+    const token = peek();
+    if (token.type === "punc" && assignmentOperators.includes(token.value)) {
+      if (left.type !== "Identifier" && left.type !== "Member") fail(token);
+      next();
+      return {
+        type: "Assign",
+        operator: token.value,
+        target: left,
+        value: parseAssignment(),
+      };
     }
+    return left;
   }
-}
-
-// Event binding plugin for on:event="handler"
-export class EventBindingPlugin extends BindingPlugin {
-  constructor() {
-    super("event", null);
+  
+  function parseConditional() {
+    const test = parseBinary(0);
+    if (!eat("?")) return test;
+    const consequent = parseAssignment();
+    expect(":");
+    const alternate = parseAssignment();
+    return { type: "Conditional", test, consequent, alternate };
   }
   
-  discover(root) {
-    const elements = [];
-    const walker = document.createTreeWalker(
-      root,
-      NodeFilter.SHOW_ELEMENT,
-      null,
-    );
+  function parseBinary(minPrecedence) {
+    const parenthesized = is("(");
+    let left = parseUnary();
     
-    let node;
-    while (node = walker.nextNode()) {
-      for (const attr of node.attributes) {
-        if (attr.name.startsWith("on:")) {
-          elements.push({ element: node, attribute: attr.name });
-        }
-      }
+    while (true) {
+      const token = peek();
+      const precedence = (token.type === "punc" || token.type === "name")
+        && Object.hasOwn(binaryPrecedence, token.value)
+        ? binaryPrecedence[token.value]
+        : undefined;
+      if (precedence === undefined || precedence <= minPrecedence) break;
+      // As in JavaScript, -2 ** 2 is ambiguous; write (-2) ** 2 or -(2 ** 2)
+      if (token.value === "**" && left.type === "Unary" && !parenthesized) fail(token);
+      next();
+      
+      // ** is right-associative
+      const right = token.value === "**"
+        ? parseBinary(precedence - 1)
+        : parseBinary(precedence);
+      const type = ["&&", "||", "??"].includes(token.value) ? "Logical" : "Binary";
+      left = { type, operator: token.value, left, right };
     }
-    return elements;
+    
+    return left;
   }
   
-  initialize({ element, attribute }, instance) {
-    const expression = element.getAttribute(attribute);
-
-    const eventName = attribute.slice(3); // Remove "on:"
+  function parseUnary() {
+    const token = peek();
     
-    const handler = (event) => {
-      try {
-        const func = new Function("instance", "event", `
-          with (instance) {
-            ${expression};
-          }
-        `);
-        func(instance, event);
-      } catch (error) {
-        console.warn(`Event handler error for ${eventName}:`, error.message);
-      }
-    };
+    if (token.type === "punc" && ["!", "-", "+", "~"].includes(token.value)
+      || token.type === "name" && ["typeof", "void"].includes(token.value)) {
+      next();
+      return { type: "Unary", operator: token.value, argument: parseUnary() };
+    }
     
-    element.addEventListener(eventName, handler);
+    if (is("++") || is("--")) {
+      next();
+      const argument = parseUnary();
+      if (argument.type !== "Identifier" && argument.type !== "Member") fail(token);
+      return { type: "Update", operator: token.value, prefix: true, argument };
+    }
     
-    return {
-      attribute,
-      eventName,
-      expression,
-      handler,
-    };
+    const expression = parsePostfix();
+    return expression;
   }
   
-  update(element, instance, metadata) {
-    // Event handlers don't need updates
+  function parsePostfix() {
+    const argument = parseCallMember();
+    if (is("++") || is("--")) {
+      const token = next();
+      if (argument.type !== "Identifier" && argument.type !== "Member") fail(token);
+      return { type: "Update", operator: token.value, prefix: false, argument };
+    }
+    return argument;
   }
   
-  cleanup(element, metadata) {
-    element.removeEventListener(metadata.eventName, metadata.handler);
-  }
-}
-
-// AttributeBindingPlugin - minimal implementation for TDD
-export class AttributeBindingPlugin extends BindingPlugin {
-  constructor() {
-    super("attribute", null);
+  function parseArguments() {
+    const args = [];
+    expect("(");
+    while (!is(")")) {
+      args.push(eat("...")
+        ? { type: "Spread", argument: parseAssignment() }
+        : parseAssignment());
+      if (!eat(",")) break;
+    }
+    expect(")");
+    return args;
   }
   
-  discover(root) {
-    const elements = [];
-    const walker = document.createTreeWalker(
-      root,
-      NodeFilter.SHOW_ELEMENT,
-      null,
-    );
+  function parseCallMember() {
+    let expression;
+    let optional = false;
     
-    let node;
-    while (node = walker.nextNode()) {
-      for (const attr of node.attributes) {
-        if (attr.name.startsWith("[") && attr.name.endsWith("]")) {
-          elements.push({ element: node, attribute: attr.name });
+    if (eat("new")) {
+      let callee = parsePrimary();
+      while (is(".") || is("[")) {
+        callee = eat(".")
+          ? { type: "Member", object: callee, property: parsePropertyName(), computed: false }
+          : parseComputedMember(callee);
+      }
+      const args = is("(") ? parseArguments() : [];
+      expression = { type: "New", callee, args };
+    } else {
+      expression = parsePrimary();
+    }
+    
+    while (true) {
+      if (eat(".")) {
+        expression = {
+          type: "Member",
+          object: expression,
+          property: parsePropertyName(),
+          computed: false,
+        };
+      } else if (eat("?.")) {
+        optional = true;
+        if (is("(")) {
+          expression = { type: "Call", callee: expression, args: parseArguments(), optional: true };
+        } else if (is("[")) {
+          expression = { ...parseComputedMember(expression), optional: true };
+        } else {
+          expression = {
+            type: "Member",
+            object: expression,
+            property: parsePropertyName(),
+            computed: false,
+            optional: true,
+          };
         }
+      } else if (is("[")) {
+        expression = parseComputedMember(expression);
+      } else if (is("(")) {
+        expression = { type: "Call", callee: expression, args: parseArguments() };
+      } else {
+        break;
       }
     }
-    return elements;
+    
+    // Optional chains short-circuit as a whole
+    return optional ? { type: "Chain", expression } : expression;
   }
   
-  initialize({ element, attribute }, instance) {
-    const expression = element.getAttribute(attribute);
-    const attrName = attribute.slice(1, -1); // Remove [ and ]
-    
-    return {
-      attribute,
-      attrName,
-      expression,
-    };
+  function parsePropertyName() {
+    const token = next();
+    if (token.type !== "name") fail(token);
+    return { type: "Literal", value: token.value };
   }
   
-  update(element, instance, metadata) {
-    try {
-      const func = new Function("instance", `
-        with (instance) {
-          return ${metadata.expression};
+  function parseComputedMember(object) {
+    expect("[");
+    const property = parseSequence();
+    expect("]");
+    return { type: "Member", object, property, computed: true };
+  }
+  
+  function parsePrimary() {
+    const token = next();
+    
+    switch (token.type) {
+      case "num":
+      case "str":
+        return { type: "Literal", value: token.value };
+      case "template":
+        return { type: "Template", quasis: token.quasis, expressions: token.expressions };
+      case "name":
+        switch (token.value) {
+          case "true": return { type: "Literal", value: true };
+          case "false": return { type: "Literal", value: false };
+          case "null": return { type: "Literal", value: null };
+          case "undefined": return { type: "Literal", value: undefined };
+          case "this": return { type: "This" };
+          default: return { type: "Identifier", name: token.value };
         }
-      `);
-      const value = func(instance);
-      
-      if (value !== null && value !== undefined && value !== false) {
-        element.setAttribute(metadata.attrName, String(value));
+      case "punc":
+        if (token.value === "(") {
+          const expression = parseSequence();
+          expect(")");
+          return expression;
+        }
+        if (token.value === "[") return parseArray();
+        if (token.value === "{") return parseObject();
+    }
+    
+    fail(token);
+  }
+  
+  function parseArray() {
+    const elements = [];
+    while (!is("]")) {
+      elements.push(eat("...")
+        ? { type: "Spread", argument: parseAssignment() }
+        : parseAssignment());
+      if (!eat(",")) break;
+    }
+    expect("]");
+    return { type: "Array", elements };
+  }
+  
+  function parseObject() {
+    const properties = [];
+    while (!is("}")) {
+      if (eat("...")) {
+        properties.push({ type: "Spread", argument: parseAssignment() });
       } else {
-        element.removeAttribute(metadata.attrName);
+        const token = next();
+        let key;
+        let shorthand = false;
+        if (token.type === "punc" && token.value === "[") {
+          key = parseAssignment();
+          expect("]");
+        } else if (token.type === "name" || token.type === "str" || token.type === "num") {
+          key = { type: "Literal", value: String(token.value) };
+          shorthand = token.type === "name" && !is(":");
+        } else {
+          fail(token);
+        }
+        const value = shorthand
+          ? { type: "Identifier", name: token.value }
+          : (expect(":"), parseAssignment());
+        properties.push({ type: "Property", key, value });
       }
-    } catch (error) {
-      // Leave attribute unchanged on error
-      console.warn(`Attribute binding error for ${metadata.attrName}:`, error.message);
+      if (!eat(",")) break;
     }
+    expect("}");
+    return { type: "Object", properties };
   }
   
-  cleanup(element, metadata) {
-    // Attribute bindings don't need cleanup
-  }
+  const ast = parseProgram();
+  if (peek().type !== "eof") fail();
+  return ast;
 }
 
-// ConditionalRenderingPlugin - minimal implementation for TDD
-export class ConditionalRenderingPlugin extends BindingPlugin {
-  constructor() {
-    super("conditional", null);
+// Marks a short-circuited optional chain while it unwinds
+const shortCircuit = Symbol("shortCircuit");
+
+// Find the environment (arrow/param locals, then scope) that holds a name
+function resolveName(name, env) {
+  for (let current = env; current; current = current.parent) {
+    if (Object.hasOwn(current.locals, name)) {
+      return { holder: current.locals, thisValue: undefined };
+    }
   }
-  
-  discover(root) {
-    const elements = [];
-    const walker = document.createTreeWalker(
-      root,
-      NodeFilter.SHOW_ELEMENT,
-      null,
-    );
+  if (name in env.scope) {
+    return { holder: env.scope, thisValue: env.scope };
+  }
+  if (name in globalThis) {
+    return { holder: globalThis, thisValue: undefined };
+  }
+  return null;
+}
+
+function evaluateBinary(operator, left, right) {
+  switch (operator) {
+    case "+": return left + right;
+    case "-": return left - right;
+    case "*": return left * right;
+    case "/": return left / right;
+    case "%": return left % right;
+    case "**": return left ** right;
+    case "==": return left == right;
+    case "!=": return left != right;
+    case "===": return left === right;
+    case "!==": return left !== right;
+    case "<": return left < right;
+    case ">": return left > right;
+    case "<=": return left <= right;
+    case ">=": return left >= right;
+    case "<<": return left << right;
+    case ">>": return left >> right;
+    case ">>>": return left >>> right;
+    case "&": return left & right;
+    case "|": return left | right;
+    case "^": return left ^ right;
+    case "in": return left in right;
+    case "instanceof": return left instanceof right;
+  }
+}
+
+function interpret(node, env) {
+  switch (node.type) {
+    case "Program": {
+      let result;
+      for (const expression of node.body) {
+        result = interpret(expression, env);
+      }
+      return result;
+    }
     
-    let node;
-    while (node = walker.nextNode()) {
-      if (node.hasAttribute("@if")) {
-        elements.push({ element: node, attribute: "@if" });
+    case "Sequence": {
+      let result;
+      for (const expression of node.expressions) {
+        result = interpret(expression, env);
       }
+      return result;
     }
-    return elements;
-  }
-  
-  initialize({ element, attribute }, instance) {
-    const expression = element.getAttribute(attribute);
-    const comment = document.createComment(`@if ${expression}`);
-    const originalHTML = element.outerHTML;
     
-    return {
-      element,
-      comment,
-      expression,
-      isVisible: true,
-      originalHTML,
-      instance
-    };
-  }
-  
-  update(element, instance, metadata) {
-    try {
-      const func = new Function("instance", `
-        with (instance) {
-          return !!${metadata.expression};
-        }
-      `);
-      const shouldShow = func(instance);
-      
-      // Get parentNode dynamically (it may not exist during initialize)
-      const parentNode = metadata.element.parentNode || metadata.comment.parentNode;
-      
-      if (shouldShow && !metadata.isVisible) {
-        // Show element - recreate from original HTML and re-bind
-        const tempDiv = document.createElement("div");
-        tempDiv.innerHTML = metadata.originalHTML;
-        const newElement = tempDiv.firstElementChild;
-        
-        // Re-discover and initialize bindings for the new element
-        const nestedBindings = [];
-        for (const [name, plugin] of bindingPlugins) {
-          if (plugin.constructor.name === "ConditionalRenderingPlugin") continue;
-          const elements = plugin.discover(newElement);
-          for (const nestedElement of elements) {
-            const domElement = nestedElement.element || nestedElement;
-            const nestedMetadata = plugin.initialize(nestedElement, instance);
-            nestedBindings.push({
-              plugin,
-              metadata: nestedMetadata,
-              element: domElement
-            });
-          }
-        }
-        
-        // Replace comment with new element
-        parentNode.replaceChild(newElement, metadata.comment);
-        metadata.element = newElement;
-        metadata.isVisible = true;
-        metadata.nestedBindings = nestedBindings;
-        
-        // Update nested bindings immediately
-        for (const binding of nestedBindings) {
-          binding.plugin.update(binding.element, instance, binding.metadata);
+    case "Literal":
+      return node.value;
+    
+    case "Template":
+      return node.quasis.reduce((result, quasi, index) => {
+        const expression = node.expressions[index - 1];
+        return result + String(interpret(expression, env)) + quasi;
+      });
+    
+    case "This":
+      return env.scope;
+    
+    case "Identifier": {
+      const resolved = resolveName(node.name, env);
+      if (!resolved) {
+        throw new ReferenceError(`${node.name} is not defined`);
+      }
+      return resolved.holder[node.name];
+    }
+    
+    case "Array":
+      return node.elements.flatMap(element => element.type === "Spread"
+        ? [...interpret(element.argument, env)]
+        : [interpret(element, env)]);
+    
+    case "Object": {
+      const result = {};
+      for (const property of node.properties) {
+        if (property.type === "Spread") {
+          Object.assign(result, interpret(property.argument, env));
+        } else {
+          result[interpret(property.key, env)] = interpret(property.value, env);
         }
-      } else if (!shouldShow && metadata.isVisible) {
-        // Hide element - replace element with comment
-        parentNode.replaceChild(metadata.comment, metadata.element);
-        metadata.isVisible = false;
-        metadata.nestedBindings = null;
       }
-      
-      // Update nested bindings when element is visible
-      if (metadata.isVisible && metadata.nestedBindings) {
-        for (const binding of metadata.nestedBindings) {
-          binding.plugin.update(binding.element, instance, binding.metadata);
+      return result;
+    }
+    
+    case "Chain": {
+      const result = interpret(node.expression, env);
+      return result === shortCircuit ? undefined : result;
+    }
+    
+    case "Member": {
+      const object = interpret(node.object, env);
+      if (object === shortCircuit) return shortCircuit;
+      if (node.optional && object == null) return shortCircuit;
+      return object[interpret(node.property, env)];
+    }
+    
+    case "Call": {
+      let callee;
+      let thisValue;
+      if (node.callee.type === "Member") {
+        thisValue = interpret(node.callee.object, env);
+        if (thisValue === shortCircuit) return shortCircuit;
+        if (node.callee.optional && thisValue == null) return shortCircuit;
+        callee = thisValue[interpret(node.callee.property, env)];
+      } else if (node.callee.type === "Identifier") {
+        const resolved = resolveName(node.callee.name, env);
+        if (!resolved) {
+          throw new ReferenceError(`${node.callee.name} is not defined`);
         }
+        callee = resolved.holder[node.callee.name];
+        thisValue = resolved.thisValue;
+      } else {
+        callee = interpret(node.callee, env);
+        if (callee === shortCircuit) return shortCircuit;
       }
-    } catch (error) {
-      console.warn(`Conditional rendering error for ${metadata.expression}:`, error.message);
+      if (node.optional && callee == null) return shortCircuit;
+      if (typeof callee !== "function") {
+        throw new TypeError(`${describeNode(node.callee)} is not a function`);
+      }
+      return callee.apply(thisValue, interpretArguments(node.args, env));
+    }
+    
+    case "New": {
+      const callee = interpret(node.callee, env);
+      return new callee(...interpretArguments(node.args, env));
+    }
+    
+    case "Unary": {
+      if (node.operator === "typeof" && node.argument.type === "Identifier"
+        && !resolveName(node.argument.name, env)) {
+        return "undefined";
+      }
+      const argument = interpret(node.argument, env);
+      switch (node.operator) {
+        case "!": return !argument;
+        case "-": return -argument;
+        case "+": return +argument;
+        case "~": return ~argument;
+        case "typeof": return typeof argument;
+        case "void": return undefined;
+      }
+      break;
+    }
+    
+    case "Binary":
+      return evaluateBinary(
+        node.operator,
+        interpret(node.left, env),
+        interpret(node.right, env),
+      );
+    
+    case "Logical": {
+      const left = interpret(node.left, env);
+      switch (node.operator) {
+        case "&&": return left && interpret(node.right, env);
+        case "||": return left || interpret(node.right, env);
+        case "??": return left ?? interpret(node.right, env);
+      }
+      break;
+    }
+    
+    case "Conditional":
+      return interpret(node.test, env)
+        ? interpret(node.consequent, env)
+        : interpret(node.alternate, env);
+    
+    case "Assign": {
+      const { holder, key } = resolveTarget(node.target, env);
+      const operator = node.operator.slice(0, -1);
+      let value;
+      switch (operator) {
+        case "":
+          value = interpret(node.value, env);
+          break;
+        case "&&":
+          if (!holder[key]) return holder[key];
+          value = interpret(node.value, env);
+          break;
+        case "||":
+          if (holder[key]) return holder[key];
+          value = interpret(node.value, env);
+          break;
+        case "??":
+          if (holder[key] != null) return holder[key];
+          value = interpret(node.value, env);
+          break;
+        default:
+          value = evaluateBinary(operator, holder[key], interpret(node.value, env));
+      }
+      holder[key] = value;
+      return value;
+    }
+    
+    case "Update": {
+      const { holder, key } = resolveTarget(node.argument, env);
+      const previous = Number(holder[key]);
+      const value = node.operator === "++" ? previous + 1 : previous - 1;
+      holder[key] = value;
+      return node.prefix ? value : previous;
     }
+    
+    case "Arrow":
+      return (...args) => {
+        const locals = {};
+        node.params.forEach((name, index) => {
+          locals[name] = args[index];
+        });
+        return interpret(node.body, { scope: env.scope, locals, parent: env });
+      };
+  }
+  
+  throw new SyntaxError(`Unsupported expression: ${node.type}`);
+}
+
+function interpretArguments(args, env) {
+  return args.flatMap(arg => arg.type === "Spread"
+    ? [...interpret(arg.argument, env)]
+    : [interpret(arg, env)]);
+}
+
+// Where an assignment writes: locals, then the scope (also for new names)
+function resolveTarget(target, env) {
+  if (target.type === "Identifier") {
+    const resolved = resolveName(target.name, env);
+    const holder = resolved && resolved.holder !== globalThis
+      ? resolved.holder
+      : env.scope;
+    return { holder, key: target.name };
+  }
+  return {
+    holder: interpret(target.object, env),
+    key: interpret(target.property, env),
+  };
+}
+
+function describeNode(node) {
+  switch (node.type) {
+    case "Identifier": return node.name;
+    case "Member":
+      return node.computed
+        ? `${describeNode(node.object)}[...]`
+        : `${describeNode(node.object)}.${node.property.value}`;
+    default: return "expression";
+  }
+}
+
+// Base plugin class
+export class BindingPlugin {
+  constructor(name, selector) {
+    this.name = name;
+    this.selector = selector;
+  }
+  
+  discover(root) {
+    if (!this.selector) return [];
+    return [...root.querySelectorAll(this.selector)];
+  }
+  
+  initialize(element, instance) {
+    // Override in subclasses
+    return {};
+  }
+  
+  update(element, instance, metadata) {
+    // Override in subclasses
   }
   
   cleanup(element, metadata) {
-    // Conditional rendering doesn't need cleanup
+    // Override in subclasses
   }
 }
 
-// TwoWayBindingPlugin - combines property/attribute binding with event handling
-export class TwoWayBindingPlugin extends BindingPlugin {
+// Interpolation plugin for {{ expression }} in text and in plain
+// attribute values, e.g. href="/users/{{ user.id }}"
+export class InterpolationPlugin extends BindingPlugin {
   constructor() {
-    super("twoway", null);
+    super("interpolation", null);
   }
-  
+
   discover(root) {
-    const elements = [];
+    const targets = [];
     const walker = document.createTreeWalker(
       root,
-      NodeFilter.SHOW_ELEMENT,
+      NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
       null,
     );
     
     let node;
     while (node = walker.nextNode()) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (hasInterpolation(node.textContent)) {
+          targets.push(node);
+        }
+        continue;
+      }
+      
       for (const attr of node.attributes) {
-        // Look for patterns like .value:input or [class]:click
-        if (attr.name.match(/^[\.\[].*:.*$/)) {
-          elements.push({ element: node, attribute: attr.name });
+        if (!isBindingAttribute(attr.name) && hasInterpolation(attr.value)) {
+          targets.push({ element: node, attribute: attr.name });
         }
       }
     }
-    return elements;
+    return targets;
   }
   
-  initialize({ element, attribute }, instance) {
-    const expression = element.getAttribute(attribute);
-    const [binding, eventName] = attribute.split(":");
+  initialize(target, instance) {
+    return target.attribute
+      ? this.initializeAttribute(target)
+      : this.initializeText(target);
+  }
+  
+  initializeText(textNode) {
+    const text = textNode.textContent;
+    const nodes = [];
+    const parent = textNode.parentNode;
+    const nextSibling = textNode.nextSibling;
     
-    let isProperty = binding.startsWith(".");
-    let isAttribute = binding.startsWith("[") && binding.endsWith("]");
-    let bindingName;
+    parseInterpolation(text).forEach(part => {
+      const node = document.createTextNode(
+        part.type === "static" ? part.content : part.placeholder
+      );
+      parent.insertBefore(node, nextSibling);
+      nodes.push({
+        node,
+        ...part,
+      });
+    });
     
-    if (isProperty) {
-      bindingName = binding.slice(1); // Remove "."
-    } else if (isAttribute) {
-      bindingName = binding.slice(1, -1); // Remove "[" and "]"
-    }
+    parent.removeChild(textNode);
     
-    // Set up the initial binding (property or attribute)
-    if (isProperty) {
-      const value = this.evaluateExpression(expression, instance);
-      element[bindingName] = value;
-    } else if (isAttribute) {
-      const value = this.evaluateExpression(expression, instance);
-      if (value !== null && value !== undefined && value !== false) {
-        element.setAttribute(bindingName, String(value));
-      } else {
-        element.removeAttribute(bindingName);
-      }
+    return {
+      parts: nodes,
+      originalText: text,
+    };
+  }
+  
+  initializeAttribute({ element, attribute }) {
+    const value = element.getAttribute(attribute);
+    
+    if (attribute === "style") {
+      return this.initializeStyle(element, value);
     }
     
-    // Set up the event handler for two-way binding
-    const handler = (event) => {
-      try {
-        let newValue;
-        if (isProperty) {
-          newValue = element[bindingName];
-        } else if (isAttribute) {
-          newValue = element.getAttribute(bindingName);
-        }
-        
-        // Update the instance property
-        const func = new Function("instance", "value", `
-          with (instance) {
-            ${expression} = value;
-          }
-        `);
-        func(instance, newValue);
-      } catch (error) {
-        console.warn(`Two-way binding error for ${eventName}:`, error.message);
-      }
-    };
+    if (attribute !== "class") {
+      return {
+        attribute,
+        parts: parseInterpolation(value),
+        originalText: value,
+      };
+    }
     
-    element.addEventListener(eventName, handler);
+    // Whitespace-separated tokens, keeping "btn-{{ kind }}" in one piece.
+    // Class tokens without {{ }} stay in the attribute as static classes;
+    // the interpolated tokens are added and removed individually, so they
+    // combine with [class] bindings instead of overwriting them
+    const tokens = value.match(/(?:\{\{.*?\}\}|[^\s{]|\{(?!\{))+/g) ?? [];
+    const staticTokens = tokens.filter(token => !hasInterpolation(token));
+    element.setAttribute("class", staticTokens.join(" "));
     
     return {
       attribute,
-      binding,
-      eventName,
-      bindingName,
-      expression,
-      handler,
-      isProperty,
-      isAttribute,
+      parts: parseInterpolation(tokens.filter(hasInterpolation).join(" ")),
+      originalText: value,
+      staticClasses: new Set(staticTokens),
+      applied: new Set(),
     };
   }
   
-  evaluateExpression(expression, instance) {
-    try {
-      const func = new Function("instance", `
-        with (instance) {
-          return ${expression};
+  // Same idea for style: declarations without {{ }} stay in the attribute
+  // and the interpolated ones are set property by property, so [style],
+  // [style.x] and @show keep the properties they manage
+  initializeStyle(element, value) {
+    const declarations = value.match(/(?:\{\{.*?\}\}|[^;{]|\{(?!\{))+/g) ?? [];
+    const staticDeclarations = declarations.filter(declaration =>
+      declaration.trim() && !hasInterpolation(declaration));
+    element.setAttribute("style", staticDeclarations.map(d => d.trim()).join("; "));
+    
+    return {
+      attribute: "style",
+      parts: parseInterpolation(declarations.filter(hasInterpolation).join(";")),
+      originalText: value,
+      staticStyles: readStyleDeclarations(element),
+      applied: new Map(),
+    };
+  }
+  
+  update(target, instance, metadata) {
+    if (!metadata.attribute) {
+      metadata.parts.forEach(part => {
+        if (part.type === "expression") {
+          part.node.textContent = renderInterpolationPart(part, instance);
         }
-      `);
-      return func(instance);
-    } catch (error) {
-      return null;
+      });
+      return;
+    }
+    
+    const value = metadata.parts
+      .map(part => renderInterpolationPart(part, instance))
+      .join("");
+    
+    if (metadata.attribute === "class") {
+      updateClasses(target, metadata, new Set(value.split(/\s+/).filter(Boolean)));
+    } else if (metadata.attribute === "style") {
+      updateStyles(target, metadata, toStyleMap(value));
+    } else {
+      target.setAttribute(metadata.attribute, value);
     }
   }
+}
+
+function hasInterpolation(text) {
+  return /\{\{.*?\}\}/.test(text);
+}
+
+// Attributes whose values are expressions for other plugins
+function isBindingAttribute(name) {
+  return /^(\[|\.|on:|@)/.test(name);
+}
+
+// Split "Hello {{ name }}!" into static and expression parts
+function parseInterpolation(text) {
+  const parts = [];
   
-  update(element, instance, metadata) {
-    const { bindingName, expression, isProperty, isAttribute } = metadata;
-    
-    // Update the binding when data changes
-    if (isProperty) {
-      const value = this.evaluateExpression(expression, instance);
-      element[bindingName] = value;
-    } else if (isAttribute) {
-      const value = this.evaluateExpression(expression, instance);
-      if (value !== null && value !== undefined && value !== false) {
-        element.setAttribute(bindingName, String(value));
-      } else {
-        element.removeAttribute(bindingName);
-      }
+  let lastIndex = 0;
+  const regex = /\{\{(.*?)\}\}/g;
+  let match;
+  
+  while ((match = regex.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      parts.push({
+        type: "static",
+        content: text.slice(lastIndex, match.index),
+      });
     }
+    
+    parts.push({
+      type: "expression",
+      content: match[1].trim(),
+      // literal double curlies breaks VS Code syntax highlighting
+      placeholder: "{".repeat(2) + match[1] + "}".repeat(2),
+    });
+    
+    lastIndex = regex.lastIndex;
   }
   
-  cleanup(element, metadata) {
-    element.removeEventListener(metadata.eventName, metadata.handler);
+  if (lastIndex < text.length) {
+    parts.push({
+      type: "static",
+      content: text.slice(lastIndex),
+    });
   }
+  
+  return parts;
 }
 
-// ListRenderingPlugin - renders template for each item in an iterable
-export class ListRenderingPlugin extends BindingPlugin {
+// Failed expressions render as their original {{ }} placeholder
+function renderInterpolationPart(part, instance) {
+  if (part.type === "static") return part.content;
+  
+  const value = expressionEvaluator.evaluate(part.content, instance, {
+    label: "Interpolation",
+  });
+  if (value === ExpressionEvaluator.failed) {
+    return part.placeholder;
+  }
+  return value != null ? String(value) : "";
+}
+
+// Property binding plugin for .property="value"
+export class PropertyBindingPlugin extends BindingPlugin {
   constructor() {
-    super("list", null);
+    super("property", null);
   }
   
   discover(root) {
@@ -563,356 +1100,2858 @@ export class ListRenderingPlugin extends BindingPlugin {
     
     let node;
     while (node = walker.nextNode()) {
-      if (node.hasAttribute("@for")) {
-        elements.push({ element: node, attribute: "@for" });
-      }
-    }
+      for (const attr of node.attributes) {
+        if (attr.name.startsWith(".")) {
+          elements.push({ element: node, attribute: attr.name });
+        }
+      }
+    }
     return elements;
   }
   
   initialize({ element, attribute }, instance) {
     const expression = element.getAttribute(attribute);
-    // Parse "@for" syntax: "item in items"
-    const [itemVar, , iterableExpr] = expression.split(" ");
+    const propName = attribute.slice(1); // Remove the "."
     
-    // Store the original template
-    const template = element.cloneNode(true);
-    template.removeAttribute("@for");
+    return {
+      attribute,
+      propName,
+      expression,
+      originalValue: element[propName],
+    };
+  }
+  
+  update(element, instance, metadata) {
+    const { propName, expression } = metadata;
     
-    // Replace the element with a comment placeholder
-    const comment = document.createComment(`@for ${expression}`);
-    const parent = element.parentNode;
-    parent.insertBefore(comment, element);
-    parent.removeChild(element);
+    element[propName] = expressionEvaluator.evaluate(expression, instance, {
+      label: "Property binding",
+      fallback: metadata.originalValue,
+    });
+  }
+}
+
+// Key modifiers that don't match event.key after lowercasing
+const keyAliases = {
+  esc: ["Escape"],
+  space: [" ", "Spacebar"],
+  up: ["ArrowUp"],
+  down: ["ArrowDown"],
+  left: ["ArrowLeft"],
+  right: ["ArrowRight"],
+  delete: ["Delete", "Backspace"],
+};
+
+const mouseButtons = { left: 0, middle: 1, right: 2 };
+
+const systemModifiers = ["ctrl", "alt", "shift", "meta"];
+
+// Parse modifiers like ["stop", "once"] or ["debounce", "300ms"] into
+// addEventListener options, handler guards and timing settings
+function parseEventModifiers(modifiers) {
+  const options = {};
+  const guards = [];
+  const flags = {};
+  let debounce = null;
+  
+  for (let i = 0; i < modifiers.length; i++) {
+    const modifier = modifiers[i];
     
-    return {
+    if (modifier === "capture" || modifier === "passive") {
+      options[modifier] = true;
+    } else if (["prevent", "stop", "once"].includes(modifier)) {
+      flags[modifier] = true;
+    } else if (modifier === "self") {
+      guards.push((event, element) => event.target === element);
+    } else if (modifier === "debounce") {
+      debounce = 250;
+      const duration = modifiers[i + 1]?.match(/^(\d+)(ms|s)?$/);
+      if (duration) {
+        debounce = Number(duration[1]) * (duration[2] === "s" ? 1000 : 1);
+        i++;
+      }
+    } else if (systemModifiers.includes(modifier)) {
+      guards.push(event => event[`${modifier}Key`]);
+    } else {
+      // Anything else filters keyboard events by key (and mouse events by
+      // button for left/middle/right)
+      guards.push(event => {
+        if (typeof event.key === "string") {
+          const aliases = keyAliases[modifier];
+          if (aliases) return aliases.includes(event.key);
+          return toKebabCase(event.key) === modifier;
+        }
+        if (modifier in mouseButtons && typeof event.button === "number") {
+          return event.button === mouseButtons[modifier];
+        }
+        return true;
+      });
+    }
+  }
+  
+  return { options, guards, flags, debounce };
+}
+
+function toKebabCase(value) {
+  return value.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase();
+}
+
+function toCamelCase(value) {
+  return value.replace(/-([a-z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+// Where on:target:event bindings listen. Global targets are tied to the
+// binding's lifetime and released in cleanup like any other listener.
+const eventTargets = {
+  element: element => element,
+  window: () => window,
+  document: () => document,
+  outside: () => document,
+};
+
+// Event binding plugin for on:event.modifiers="handler"
+export class EventBindingPlugin extends BindingPlugin {
+  constructor() {
+    super("event", null);
+  }
+  
+  discover(root) {
+    const elements = [];
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_ELEMENT,
+      null,
+    );
+    
+    let node;
+    while (node = walker.nextNode()) {
+      for (const attr of node.attributes) {
+        if (attr.name.startsWith("on:")) {
+          elements.push({ element: node, attribute: attr.name });
+        }
+      }
+    }
+    return elements;
+  }
+  
+  initialize({ element, attribute }, instance) {
+    const expression = element.getAttribute(attribute);
+
+    // Remove "on:" and split off the target and modifiers, e.g.
+    // "keydown.enter.ctrl" or "window:resize.debounce"
+    const [, targetName = "element", name] = attribute.slice(3)
+      .match(/^(?:(window|document|outside):)?(.*)$/);
+    const [eventName, ...modifiers] = name.split(".");
+    const { options, guards, flags, debounce } = parseEventModifiers(modifiers);
+    // The HTML parser lowercases attribute names, so on:item-selected also
+    // listens for a camelCase "itemSelected" (or "cart:itemAdded" for
+    // on:cart:item-added) dispatched by a component
+    const eventNames = [...new Set([eventName, toCamelCase(eventName)])];
+    
+    const target = eventTargets[targetName](element);
+    if (targetName === "outside") {
+      guards.unshift(event => !event.composedPath().includes(element));
+    }
+    if (targetName !== "element") {
+      // An element rendered while an event is being handled (say, a menu
+      // opened by a click) would otherwise receive that same event once it
+      // bubbles up to the document
+      const registeredAt = performance.now();
+      guards.unshift(event => event.timeStamp >= registeredAt);
+    }
+    
+    const run = (event) => {
+      expressionEvaluator.evaluate(expression, instance, {
+        params: ["event"],
+        args: [event],
+        statements: true,
+        label: "Event handler",
+      });
+    };
+    
+    const metadata = {
       attribute,
+      eventName,
+      eventNames,
+      target,
+      modifiers,
+      options,
       expression,
-      itemVar,
-      iterableExpr,
-      template,
+      timer: null,
+    };
+    
+    metadata.handler = (event) => {
+      if (!guards.every(guard => guard(event, element))) return;
+      
+      if (flags.prevent) event.preventDefault();
+      if (flags.stop) event.stopPropagation();
+      
+      // Removed by hand rather than with the native `once` option, so a
+      // filtered-out event (wrong key, wrong target) doesn't use it up
+      if (flags.once) this.cleanup(element, metadata);
+      
+      if (debounce === null) {
+        run(event);
+      } else {
+        clearTimeout(metadata.timer);
+        metadata.timer = setTimeout(() => run(event), debounce);
+      }
+    };
+    
+    for (const name of eventNames) {
+      target.addEventListener(name, metadata.handler, options);
+    }
+    
+    return metadata;
+  }
+  
+  update(element, instance, metadata) {
+    // Event handlers don't need updates
+  }
+  
+  cleanup(element, metadata) {
+    clearTimeout(metadata.timer);
+    for (const name of metadata.eventNames) {
+      metadata.target.removeEventListener(name, metadata.handler, {
+        capture: !!metadata.options.capture,
+      });
+    }
+  }
+}
+
+// AttributeBindingPlugin - [attr]="expr", plus class and style forms:
+// - [class]="expr"        string, array or { name: bool } object
+// - [class.name]="bool"   toggle one class
+// - [style]="expr"        string, array or { prop: value } object
+// - [style.prop]="value"  one property, optionally with a unit suffix as
+//                         in [style.width.px]
+// Class and style bindings merge with the element's static class and
+// style attributes instead of replacing them. Attribute names are
+// lowercased by the HTML parser, so write properties in kebab-case.
+export class AttributeBindingPlugin extends BindingPlugin {
+  constructor() {
+    super("attribute", null);
+  }
+  
+  discover(root) {
+    const elements = [];
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_ELEMENT,
+      null,
+    );
+    
+    let node;
+    while (node = walker.nextNode()) {
+      for (const attr of node.attributes) {
+        if (attr.name.startsWith("[") && attr.name.endsWith("]")) {
+          elements.push({ element: node, attribute: attr.name });
+        }
+      }
+    }
+    return elements;
+  }
+  
+  initialize({ element, attribute }, instance) {
+    const expression = element.getAttribute(attribute);
+    const attrName = attribute.slice(1, -1); // Remove [ and ]
+    const [target, key, unit = ""] = attrName.split(".");
+    
+    const metadata = {
+      attribute,
+      attrName,
+      expression,
+    };
+    
+    if (target === "class") {
+      Object.assign(metadata, {
+        kind: key ? "class-toggle" : "class",
+        key,
+        staticClasses: new Set(element.classList),
+        applied: new Set(),
+      });
+    } else if (target === "style") {
+      Object.assign(metadata, {
+        kind: key ? "style-property" : "style",
+        key,
+        unit,
+        staticStyles: readStyleDeclarations(element),
+        applied: new Map(),
+      });
+    }
+    
+    return metadata;
+  }
+  
+  update(element, instance, metadata) {
+    const value = expressionEvaluator.evaluate(metadata.expression, instance, {
+      label: "Attribute binding",
+    });
+    
+    // Leave attribute unchanged on error
+    if (value === ExpressionEvaluator.failed) return;
+    
+    switch (metadata.kind) {
+      case "class":
+        updateClasses(element, metadata, toClassSet(value));
+        return;
+      case "class-toggle":
+        updateClasses(element, metadata, new Set(value ? [metadata.key] : []));
+        return;
+      case "style":
+        updateStyles(element, metadata, toStyleMap(value));
+        return;
+      case "style-property":
+        updateStyles(element, metadata, isUnsetStyleValue(value)
+          ? new Map()
+          : new Map([[metadata.key, `${value}${metadata.unit}`]]));
+        return;
+    }
+    
+    if (value !== null && value !== undefined && value !== false) {
+      element.setAttribute(metadata.attrName, String(value));
+    } else {
+      element.removeAttribute(metadata.attrName);
+    }
+  }
+  
+  cleanup(element, metadata) {
+    // Attribute bindings don't need cleanup
+  }
+}
+
+// Swap the classes a binding applied last time for `classes`, keeping
+// static ones
+function updateClasses(element, metadata, classes) {
+  for (const name of metadata.applied) {
+    if (!classes.has(name) && !metadata.staticClasses.has(name)) {
+      element.classList.remove(name);
+    }
+  }
+  for (const name of classes) {
+    element.classList.add(name);
+  }
+  metadata.applied = classes;
+}
+
+// "a b", ["a", { b: true }] or { a: true, "b c": false } → Set of names
+function toClassSet(value) {
+  const classes = new Set();
+  const add = (names) => {
+    for (const name of String(names).split(/\s+/)) {
+      if (name) classes.add(name);
+    }
+  };
+  
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      toClassSet(item).forEach(name => classes.add(name));
+    }
+  } else if (value && typeof value === "object") {
+    for (const [names, enabled] of Object.entries(value)) {
+      if (enabled) add(names);
+    }
+  } else if (value || value === 0) {
+    add(value);
+  }
+  
+  return classes;
+}
+
+// Swap the properties a binding applied last time for `styles`, restoring
+// static values where the binding no longer sets one
+function updateStyles(element, metadata, styles) {
+  for (const property of metadata.applied.keys()) {
+    if (styles.has(property)) continue;
+    
+    const original = metadata.staticStyles.get(property);
+    if (original) {
+      element.style.setProperty(property, original.value, original.priority);
+    } else {
+      element.style.removeProperty(property);
+    }
+  }
+  for (const [property, value] of styles) {
+    element.style.setProperty(property, value);
+  }
+  metadata.applied = styles;
+}
+
+// "color: red; width: 2px", [...] or { color: "red", fontSize: "2rem" }
+// → Map of kebab-case property to value
+function toStyleMap(value) {
+  const styles = new Map();
+  
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      toStyleMap(item).forEach((itemValue, property) => styles.set(property, itemValue));
+    }
+  } else if (value && typeof value === "object") {
+    for (const [property, propertyValue] of Object.entries(value)) {
+      if (isUnsetStyleValue(propertyValue)) continue;
+      const name = property.startsWith("--") ? property : toKebabCase(property);
+      styles.set(name, String(propertyValue));
+    }
+  } else if (typeof value === "string") {
+    for (const declaration of value.split(";")) {
+      const colon = declaration.indexOf(":");
+      if (colon === -1) continue;
+      styles.set(declaration.slice(0, colon).trim(), declaration.slice(colon + 1).trim());
+    }
+  }
+  
+  return styles;
+}
+
+function isUnsetStyleValue(value) {
+  return value === null || value === undefined || value === false;
+}
+
+function readStyleDeclarations(element) {
+  const styles = new Map();
+  const declarations = element.style ?? [];
+  for (let i = 0; i < declarations.length; i++) {
+    const property = declarations[i];
+    styles.set(property, {
+      value: declarations.getPropertyValue(property),
+      priority: declarations.getPropertyPriority(property),
+    });
+  }
+  return styles;
+}
+
+// ConditionalRenderingPlugin - @if with optional @else-if / @else siblings
+export class ConditionalRenderingPlugin extends BindingPlugin {
+  constructor() {
+    super("conditional", null);
+  }
+  
+  discover(root) {
+    const elements = [];
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_ELEMENT,
+      null,
+    );
+    
+    let node;
+    while (node = walker.nextNode()) {
+      if (node.hasAttribute("@if")) {
+        elements.push({ element: node, attribute: "@if" });
+        continue;
+      }
+      // An @else-if/@else that no @if chain will collect is claimed here
+      // too, since the other plugins leave it to this one
+      const branchAttribute = ["@else-if", "@else"].find(name => node.hasAttribute(name));
+      if (branchAttribute && !this.followsChainBranch(node)) {
+        elements.push({ element: node, attribute: branchAttribute, orphan: true });
+      }
+    }
+    return elements;
+  }
+  
+  // Whether an @else-if/@else directly follows an @if or @else-if sibling
+  // (only whitespace and comments in between)
+  followsChainBranch(element) {
+    let sibling = element.previousSibling;
+    while (sibling) {
+      if (sibling.nodeType === Node.ELEMENT_NODE) {
+        return sibling.hasAttribute("@if") || sibling.hasAttribute("@else-if");
+      }
+      if (sibling.nodeType === Node.TEXT_NODE && sibling.textContent.trim()) {
+        return false;
+      }
+      sibling = sibling.previousSibling;
+    }
+    return false;
+  }
+  
+  initialize({ element, attribute, orphan }, instance) {
+    const expression = element.getAttribute(attribute);
+    
+    // Without an @if there's nothing to decide when the branch shows, so
+    // drop it rather than leave it in the DOM unbound
+    if (orphan) {
+      console.warn(`Conditional rendering: ${attribute} without a preceding @if or @else-if was removed:`, element.outerHTML);
+      element.parentNode.removeChild(element);
+      return { expression, orphan, branches: [], isVisible: false };
+    }
+    
+    const comment = document.createComment(`@if ${expression}`);
+    
+    // Collect the chain: the @if element plus directly following
+    // @else-if / @else siblings (only whitespace and comments in between)
+    const branches = [this.createBranch(element, attribute)];
+    let sibling = element.nextSibling;
+    while (sibling) {
+      const next = sibling.nextSibling;
+      if (sibling.nodeType === Node.ELEMENT_NODE) {
+        const branchAttribute = ["@else-if", "@else"]
+          .find(name => sibling.hasAttribute(name));
+        if (!branchAttribute) break;
+        branches.push(this.createBranch(sibling, branchAttribute));
+        sibling.parentNode.removeChild(sibling);
+        if (branchAttribute === "@else") break;
+      } else if (sibling.nodeType === Node.TEXT_NODE && sibling.textContent.trim()) {
+        break;
+      }
+      sibling = next;
+    }
+    
+    // One comment anchors the whole chain; the active branch renders after it
+    element.parentNode.replaceChild(comment, element);
+    
+    return {
+      element,
       comment,
-      parent,
+      expression,
+      branches,
+      activeBranch: null,
+      isVisible: false,
       instance,
-      renderedElements: []
+      nestedBindings: null,
+    };
+  }
+  
+  // Keep an unbound copy of each branch to stamp out when it becomes active
+  createBranch(element, attribute) {
+    const template = element.cloneNode(true);
+    template.removeAttribute(attribute);
+    
+    return {
+      expression: attribute === "@else" ? null : element.getAttribute(attribute),
+      template,
     };
   }
   
-  update(element, instance, metadata) {
-    const { itemVar, iterableExpr, template, comment, parent } = metadata;
+  update(element, instance, metadata) {
+    if (metadata.orphan) return;
+    
+    try {
+      const activeBranch = metadata.branches.find(branch => {
+        if (branch.expression === null) return true;
+        return !!expressionEvaluator.evaluate(branch.expression, instance, {
+          label: "Conditional rendering",
+          fallback: false,
+        });
+      }) ?? null;
+      
+      if (activeBranch !== metadata.activeBranch) {
+        // Tear down the previous branch
+        this.cleanup(element, metadata);
+        
+        // Stamp out the new branch and bind it
+        if (activeBranch) {
+          const fragment = document.createDocumentFragment();
+          const newElement = activeBranch.template.cloneNode(true);
+          fragment.appendChild(newElement);
+          metadata.nestedBindings = discoverBindings(fragment, instance);
+          activateBindings(metadata.nestedBindings, instance);
+          
+          metadata.comment.parentNode.insertBefore(
+            newElement,
+            metadata.comment.nextSibling,
+          );
+          metadata.element = newElement;
+          metadata.isVisible = true;
+        }
+        
+        metadata.activeBranch = activeBranch;
+      }
+    } catch (error) {
+      console.warn(`Conditional rendering error for ${metadata.expression}:`, error.message);
+    }
+  }
+  
+  cleanup(element, metadata) {
+    if (metadata.isVisible) {
+      cleanupBindings(metadata.nestedBindings);
+      metadata.element.parentNode?.removeChild(metadata.element);
+      metadata.isVisible = false;
+      metadata.nestedBindings = null;
+      metadata.activeBranch = null;
+    }
+  }
+}
+
+// VisibilityPlugin - @show toggles display without destroying the element
+export class VisibilityPlugin extends BindingPlugin {
+  constructor() {
+    super("visibility", null);
+  }
+  
+  discover(root) {
+    const elements = [];
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_ELEMENT,
+      null,
+    );
+    
+    let node;
+    while (node = walker.nextNode()) {
+      if (node.hasAttribute("@show")) {
+        elements.push({ element: node, attribute: "@show" });
+      }
+    }
+    return elements;
+  }
+  
+  initialize({ element, attribute }, instance) {
+    return {
+      attribute,
+      expression: element.getAttribute(attribute),
+      // Restored when shown so inline display values survive toggling
+      originalDisplay: element.style.display,
+    };
+  }
+  
+  update(element, instance, metadata) {
+    const shouldShow = expressionEvaluator.evaluate(metadata.expression, instance, {
+      label: "Visibility binding",
+    });
+    if (shouldShow === ExpressionEvaluator.failed) return;
+    
+    element.style.display = shouldShow ? metadata.originalDisplay : "none";
+  }
+  
+  cleanup(element, metadata) {
+    element.style.display = metadata.originalDisplay;
+  }
+}
+
+// TwoWayBindingPlugin - combines property/attribute binding with event handling
+export class TwoWayBindingPlugin extends BindingPlugin {
+  constructor() {
+    super("twoway", null);
+  }
+  
+  discover(root) {
+    const elements = [];
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_ELEMENT,
+      null,
+    );
+    
+    let node;
+    while (node = walker.nextNode()) {
+      for (const attr of node.attributes) {
+        // Look for patterns like .value:input or [class]:click
+        if (attr.name.match(/^[\.\[].*:.*$/)) {
+          elements.push({ element: node, attribute: attr.name });
+        }
+      }
+    }
+    return elements;
+  }
+  
+  initialize({ element, attribute }, instance) {
+    const expression = element.getAttribute(attribute);
+    const [binding, eventName] = attribute.split(":");
+    
+    let isProperty = binding.startsWith(".");
+    let isAttribute = binding.startsWith("[") && binding.endsWith("]");
+    let bindingName;
+    
+    if (isProperty) {
+      bindingName = binding.slice(1); // Remove "."
+    } else if (isAttribute) {
+      bindingName = binding.slice(1, -1); // Remove "[" and "]"
+    }
+    
+    // Set up the initial binding (property or attribute)
+    if (isProperty) {
+      const value = this.evaluateExpression(expression, instance);
+      element[bindingName] = value;
+    } else if (isAttribute) {
+      const value = this.evaluateExpression(expression, instance);
+      if (value !== null && value !== undefined && value !== false) {
+        element.setAttribute(bindingName, String(value));
+      } else {
+        element.removeAttribute(bindingName);
+      }
+    }
+    
+    // Set up the event handler for two-way binding
+    const handler = (event) => {
+      let newValue;
+      if (isProperty) {
+        newValue = element[bindingName];
+      } else if (isAttribute) {
+        newValue = element.getAttribute(bindingName);
+      }
+      
+      // Update the instance property
+      expressionEvaluator.evaluate(`${expression} = value`, instance, {
+        params: ["value"],
+        args: [newValue],
+        label: "Two-way binding",
+      });
+    };
+    
+    element.addEventListener(eventName, handler);
+    
+    return {
+      attribute,
+      binding,
+      eventName,
+      bindingName,
+      expression,
+      handler,
+      isProperty,
+      isAttribute,
+    };
+  }
+  
+  evaluateExpression(expression, instance) {
+    return expressionEvaluator.evaluate(expression, instance, {
+      label: "Two-way binding",
+      fallback: null,
+    });
+  }
+  
+  update(element, instance, metadata) {
+    const { bindingName, expression, isProperty, isAttribute } = metadata;
+    
+    // Update the binding when data changes
+    if (isProperty) {
+      const value = this.evaluateExpression(expression, instance);
+      element[bindingName] = value;
+    } else if (isAttribute) {
+      const value = this.evaluateExpression(expression, instance);
+      if (value !== null && value !== undefined && value !== false) {
+        element.setAttribute(bindingName, String(value));
+      } else {
+        element.removeAttribute(bindingName);
+      }
+    }
+  }
+  
+  cleanup(element, metadata) {
+    element.removeEventListener(metadata.eventName, metadata.handler);
+  }
+}
+
+// ModelBindingPlugin - @model="path" two-way binding that handles each
+// kind of form control:
+// - text inputs and textareas     string, synced on input
+// - number and range inputs       number, or null when empty
+// - date, datetime-local, month   string, or a Date if the model holds one
+// - checkboxes                    boolean, or membership in an array or Set
+// - radios                        model equals the radio's value
+// - select                        the selected option's value
+// - select multiple               array of the selected options' values
+// Modifiers: @model.lazy syncs on change instead of input, .trim trims
+// strings and .number converts values with parseFloat.
+export class ModelBindingPlugin extends BindingPlugin {
+  constructor() {
+    super("model", null);
+  }
+  
+  discover(root) {
+    const elements = [];
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_ELEMENT,
+      null,
+    );
+    
+    let node;
+    while (node = walker.nextNode()) {
+      for (const attr of node.attributes) {
+        if (attr.name === "@model" || attr.name.startsWith("@model.")) {
+          elements.push({ element: node, attribute: attr.name });
+        }
+      }
+    }
+    return elements;
+  }
+  
+  initialize({ element, attribute }, instance) {
+    const expression = element.getAttribute(attribute);
+    const modifiers = new Set(attribute.split(".").slice(1));
+    const control = getModelControl(element);
+    const eventName = control.event === "input" && modifiers.has("lazy")
+      ? "change"
+      : control.event;
+    
+    const metadata = {
+      attribute,
+      expression,
+      modifiers,
+      control,
+      eventName,
+      target: null,
+    };
+    
+    try {
+      metadata.target = parseExpression(expression);
+    } catch (error) {
+      console.warn(`Model binding error for ${expression}:`, error.message);
+    }
+    
+    metadata.handler = () => {
+      if (!metadata.target) return;
+      
+      const env = { scope: instance, locals: {}, parent: null };
+      try {
+        const current = readModelPath(metadata.target, env);
+        writeModelPath(metadata.target, env, control.read(element, current, modifiers));
+      } catch (error) {
+        console.warn(`Model binding error for ${expression}:`, error.message);
+      }
+    };
+    
+    element.addEventListener(eventName, metadata.handler);
+    
+    return metadata;
+  }
+  
+  update(element, instance, metadata) {
+    if (!metadata.target) return;
+    
+    let value;
+    try {
+      value = readModelPath(metadata.target, { scope: instance, locals: {}, parent: null });
+    } catch (error) {
+      console.warn(`Model binding error for ${metadata.expression}:`, error.message);
+      return;
+    }
+    
+    metadata.control.write(element, value, metadata.modifiers);
+  }
+  
+  cleanup(element, metadata) {
+    element.removeEventListener(metadata.eventName, metadata.handler);
+  }
+}
+
+// Assign `value` to a model path like `form.address.city`, `rows[i].done`
+// or a @for item variable, interpreting the path instead of compiling an
+// assignment. Missing objects along the path are created ({} or, before a
+// numeric key, []), so a model can point into data that doesn't exist yet.
+function writeModelPath(node, env, value) {
+  if (node.type === "Identifier") {
+    env.scope[node.name] = value;
+    return;
+  }
+  if (node.type !== "Member" || node.optional) {
+    throw new TypeError("@model needs an assignable path such as a.b or a[i]");
+  }
+  
+  const key = node.computed ? interpret(node.property, env) : node.property.value;
+  const object = readModelObject(node.object, env, key);
+  object[key] = value;
+}
+
+// Read a model path the way writeModelPath walks it: a missing object
+// along the path reads as undefined rather than throwing, since the first
+// write will create it
+function readModelPath(node, env) {
+  if (node.type === "Identifier") return env.scope[node.name];
+  if (node.type !== "Member") return interpret(node, env);
+  
+  const object = readModelPath(node.object, env);
+  if (object === null || object === undefined) return undefined;
+  const key = node.computed ? interpret(node.property, env) : node.property.value;
+  return object[key];
+}
+
+// The object a path's last key is written to, creating it (and, through
+// writeModelPath, every missing level above it) when it doesn't exist
+function readModelObject(node, env, childKey) {
+  let object = readModelPath(node, env);
+  
+  if (object === null || object === undefined) {
+    object = typeof childKey === "number" ? [] : {};
+    writeModelPath(node, env, object);
+  }
+  return object;
+}
+
+function castModelValue(value, modifiers) {
+  if (typeof value !== "string") return value;
+  if (modifiers.has("trim")) {
+    value = value.trim();
+  }
+  if (modifiers.has("number")) {
+    const number = Number.parseFloat(value);
+    if (!Number.isNaN(number)) return number;
+  }
+  return value;
+}
+
+// Each control reads its value for the model (given the model's current
+// value) and writes the model's value back to the element
+const textModelControl = {
+  event: "input",
+  read(element, current, modifiers) {
+    return castModelValue(element.value, modifiers);
+  },
+  write(element, value, modifiers) {
+    // Don't rewrite what the user is typing when it already maps to the
+    // model value, e.g. "1." for 1 with .number or "a " for "a" with .trim
+    if (this.read(element, value, modifiers) === value) return;
+    element.value = value ?? "";
+  },
+};
+
+const numberModelControl = {
+  event: "input",
+  read(element) {
+    return element.value === "" ? null : Number(element.value);
+  },
+  write(element, value) {
+    if (this.read(element) === value) return;
+    element.value = value ?? "";
+  },
+};
+
+const dateModelControl = {
+  event: "input",
+  read(element, current) {
+    if (!(current instanceof Date)) return element.value;
+    return element.value ? parseDateInputValue(element.value, element.type) : null;
+  },
+  write(element, value) {
+    element.value = value instanceof Date
+      ? formatDateInputValue(value, element.type)
+      : value ?? "";
+  },
+};
+
+const checkboxModelControl = {
+  event: "change",
+  read(element, current, modifiers) {
+    const value = castModelValue(element.value, modifiers);
+    if (current instanceof Set) {
+      const next = new Set(current);
+      element.checked ? next.add(value) : next.delete(value);
+      return next;
+    }
+    if (Array.isArray(current)) {
+      const without = current.filter(item => item !== value);
+      return element.checked ? [...without, value] : without;
+    }
+    return element.checked;
+  },
+  write(element, value, modifiers) {
+    const ownValue = castModelValue(element.value, modifiers);
+    if (value instanceof Set) {
+      element.checked = value.has(ownValue);
+    } else if (Array.isArray(value)) {
+      element.checked = value.includes(ownValue);
+    } else {
+      element.checked = !!value;
+    }
+  },
+};
+
+const radioModelControl = {
+  event: "change",
+  read(element, current, modifiers) {
+    return castModelValue(element.value, modifiers);
+  },
+  write(element, value, modifiers) {
+    element.checked = castModelValue(element.value, modifiers) === value;
+  },
+};
+
+const selectModelControl = {
+  event: "change",
+  read(element, current, modifiers) {
+    return castModelValue(element.value, modifiers);
+  },
+  write(element, value, modifiers) {
+    const index = [...element.options]
+      .findIndex(option => castModelValue(option.value, modifiers) === value);
+    element.selectedIndex = index;
+  },
+};
+
+const selectMultipleModelControl = {
+  event: "change",
+  read(element, current, modifiers) {
+    return [...element.options]
+      .filter(option => option.selected)
+      .map(option => castModelValue(option.value, modifiers));
+  },
+  write(element, value, modifiers) {
+    const selected = new Set(value ?? []);
+    for (const option of element.options) {
+      option.selected = selected.has(castModelValue(option.value, modifiers));
+    }
+  },
+};
+
+const inputModelControls = {
+  checkbox: checkboxModelControl,
+  radio: radioModelControl,
+  number: numberModelControl,
+  range: numberModelControl,
+  date: dateModelControl,
+  "datetime-local": dateModelControl,
+  month: dateModelControl,
+};
+
+function getModelControl(element) {
+  if (element.localName === "select") {
+    return element.multiple ? selectMultipleModelControl : selectModelControl;
+  }
+  if (element.localName === "input") {
+    return inputModelControls[element.type] ?? textModelControl;
+  }
+  return textModelControl;
+}
+
+// Date inputs hold local dates and times as strings
+function formatDateInputValue(date, type) {
+  const pad = (number) => String(number).padStart(2, "0");
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  
+  switch (type) {
+    case "month":
+      return day.slice(0, 7);
+    case "datetime-local":
+      return `${day}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    default:
+      return day;
+  }
+}
+
+function parseDateInputValue(value, type) {
+  switch (type) {
+    case "month":
+      return new Date(`${value}-01T00:00`);
+    case "datetime-local":
+      return new Date(value);
+    default:
+      return new Date(`${value}T00:00`);
+  }
+}
+
+// ListRenderingPlugin - renders template for each item in an iterable
+export class ListRenderingPlugin extends BindingPlugin {
+  constructor() {
+    super("list", null);
+  }
+  
+  discover(root) {
+    const elements = [];
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_ELEMENT,
+      null,
+    );
+    
+    let node;
+    while (node = walker.nextNode()) {
+      if (node.hasAttribute("@for")) {
+        elements.push({ element: node, attribute: "@for" });
+      }
+    }
+    return elements;
+  }
+  
+  initialize({ element, attribute }, instance) {
+    const expression = element.getAttribute(attribute);
+    // Optional ":key" companion identifies rows across updates
+    const keyExpr = element.getAttribute(":key");
+    
+    // Parse "@for" syntax: "item in items", "(item, index) in items",
+    // "(value, key, index) in object", "[key, value] of map", "n in 5"
+    let parsed = null;
+    try {
+      parsed = parseForExpression(expression);
+    } catch (error) {
+      console.warn(`List rendering error for ${expression}:`, error.message);
+    }
+    
+    // Store the original template
+    const template = element.cloneNode(true);
+    template.removeAttribute("@for");
+    template.removeAttribute(":key");
+    
+    // Replace the element with a comment placeholder
+    const comment = document.createComment(`@for ${expression}`);
+    const parent = element.parentNode;
+    parent.insertBefore(comment, element);
+    parent.removeChild(element);
+    
+    return {
+      attribute,
+      expression,
+      aliases: parsed?.aliases,
+      iterableExpr: parsed?.iterableExpr,
+      keyExpr,
+      template,
+      comment,
+      parent,
+      instance,
+      rows: [],
+      renderedElements: []
+    };
+  }
+  
+  update(element, instance, metadata) {
+    const { iterableExpr } = metadata;
+    if (!iterableExpr) return;
+    
+    try {
+      // Evaluate the iterable expression
+      const items = expressionEvaluator.evaluate(iterableExpr, instance, {
+        label: "List rendering",
+      });
+      if (items === ExpressionEvaluator.failed) return;
+      
+      // Remember where each item came from so assigning to the item
+      // variable writes back; only plain objects need their keys
+      metadata.source = items;
+      const entries = listEntries(items);
+      metadata.sourceKeys = typeof items === "object" && !isIterable(items)
+        ? entries.map(([, key]) => key)
+        : null;
+      
+      this.reconcile(entries, instance, metadata);
+    } catch (error) {
+      console.warn(`List rendering error for ${iterableExpr}:`, error.message);
+    }
+  }
+  
+  // Diff the rendered rows against the new items by key. Rows whose key
+  // survives keep their DOM node and are only moved if they fall out of
+  // order; everything else is inserted or removed.
+  reconcile(entries, instance, metadata) {
+    const { aliases, template, comment } = metadata;
+    const parent = comment.parentNode;
+    // Only a plain item alias can be assigned back into the list
+    const [valueAlias] = aliases;
+    const itemVar = valueAlias.type === "name" ? valueAlias.name : null;
+    
+    // Rows by key, in order, so repeated keys are matched by position
+    const oldRows = new Map();
+    metadata.rows.forEach((row, index) => {
+      if (!oldRows.has(row.key)) {
+        oldRows.set(row.key, []);
+      }
+      oldRows.get(row.key).push({ row, index });
+    });
+    
+    const seenKeys = new Set();
+    const reused = new Set();
+    const nextRows = entries.map(([item, itemKey], index) => {
+      const rowLocals = bindForAliases(aliases, item, itemKey, index);
+      const key = this.evaluateKey(createScope(instance, rowLocals), item, metadata);
+      
+      // Repeated items are fine without :key; an explicit key should be unique
+      if (metadata.keyExpr && seenKeys.has(key)) {
+        console.warn(`List rendering duplicate key for ${metadata.expression}:`, key);
+      }
+      seenKeys.add(key);
+      
+      const match = oldRows.get(key)?.shift();
+      if (match) {
+        reused.add(match.row);
+        const { row } = match;
+        // Row locals are reactive, so only bindings that read a changed
+        // item or index re-run. Set directly, not through the scope, which
+        // would write the item back into the list.
+        Object.assign(row.locals, rowLocals);
+        return { row, oldIndex: match.index };
+      }
+      
+      // Bind the new row with the full plugin pipeline, scoped to the item
+      const locals = shallowReactive(rowLocals);
+      const writers = itemVar
+        ? { [itemVar]: (value) => this.writeItem(metadata, locals.$index, value) }
+        : {};
+      const scope = createScope(instance, locals, writers);
+      rowScopes.add(scope);
+      const fragment = document.createDocumentFragment();
+      const itemElement = template.cloneNode(true);
+      fragment.appendChild(itemElement);
+      const bindings = discoverBindings(fragment, scope);
+      activateBindings(bindings, scope);
+      
+      return {
+        row: { key, element: itemElement, scope, locals, bindings },
+        oldIndex: -1,
+      };
+    });
+    
+    // Remove rows whose key is gone
+    for (const row of metadata.rows) {
+      if (!reused.has(row)) {
+        this.removeRow(row);
+      }
+    }
+    
+    // Rows on the longest run of increasing old positions stay put; every
+    // other row is inserted directly after its predecessor
+    const stable = new Set(
+      longestIncreasingSubsequence(nextRows.map(({ oldIndex }) => oldIndex))
+    );
+    let previous = comment;
+    nextRows.forEach(({ row }, index) => {
+      if (!stable.has(index)) {
+        parent.insertBefore(row.element, previous.nextSibling);
+      }
+      previous = row.element;
+    });
+    
+    metadata.rows = nextRows.map(({ row }) => row);
+    metadata.renderedElements = metadata.rows.map(row => row.element);
+    
+    // Refs inside rows follow the rows' new order
+    sortListRefs(instance.$refs);
+  }
+  
+  // Assigning to a row's item variable replaces the item in the list.
+  // Arrays and plain objects are writable; Maps, Sets, generators and
+  // ranges have no slot to write to.
+  writeItem(metadata, index, value) {
+    const { source, sourceKeys } = metadata;
+    if (Array.isArray(source)) {
+      source[index] = value;
+    } else if (sourceKeys) {
+      source[sourceKeys[index]] = value;
+    } else {
+      console.warn(`List rendering can't assign to items of ${metadata.iterableExpr}: only arrays and objects are writable`);
+      return;
+    }
+    
+    // Without :key the item is the row's key. Re-key the row to the new
+    // value, so a row editing its own item (<input @model="tag">) keeps
+    // its DOM node, focus included, instead of being replaced.
+    const row = metadata.rows[index];
+    if (!metadata.keyExpr && row) {
+      row.key = value;
+    }
+  }
+  
+  evaluateKey(scope, item, metadata) {
+    if (!metadata.keyExpr) return item;
+    
+    return expressionEvaluator.evaluate(metadata.keyExpr, scope, {
+      label: "List rendering key",
+      fallback: item,
+    });
+  }
+  
+  removeRow(row) {
+    cleanupBindings(row.bindings);
+    if (row.element.parentNode) {
+      row.element.parentNode.removeChild(row.element);
+    }
+  }
+  
+  cleanup(element, metadata) {
+    // Clean up rendered rows and their bindings
+    metadata.rows.forEach(row => this.removeRow(row));
+    metadata.rows = [];
+    metadata.renderedElements = [];
+  }
+}
+
+// Split an @for expression at its top-level "in" or "of" into the loop
+// aliases and the iterable expression. Up to three aliases in parentheses
+// receive the item, its key (the index for arrays and iterables) and the
+// index; each may be a name or an array/object destructuring pattern.
+function parseForExpression(expression) {
+  const tokens = tokenize(expression);
+  let depth = 0;
+  const separator = tokens.findIndex(token => {
+    if (token.type === "punc" && ["(", "[", "{"].includes(token.value)) depth++;
+    if (token.type === "punc" && [")", "]", "}"].includes(token.value)) depth--;
+    return depth === 0 && token.type === "name" && (token.value === "in" || token.value === "of");
+  });
+  if (separator === -1) {
+    throw new SyntaxError(`Expected "alias in items" or "alias of items" in: ${expression}`);
+  }
+  if (separator === 0) {
+    throw new SyntaxError(`Missing loop alias before '${tokens[0].value}' in: ${expression}`);
+  }
+  
+  const { start, value } = tokens[separator];
+  const iterableExpr = expression.slice(start + value.length).trim();
+  if (!iterableExpr) {
+    throw new SyntaxError(`Missing iterable after '${value}' in: ${expression}`);
+  }
+  
+  const aliasTokens = [...tokens.slice(0, separator), { type: "eof", value: null, start }];
+  return { aliases: parseForAliases(aliasTokens, expression), iterableExpr };
+}
+
+function parseForAliases(tokens, expression) {
+  let position = 0;
+  
+  const peek = () => tokens[position];
+  const is = (value) => peek().type === "punc" && peek().value === value;
+  const fail = () => {
+    const token = peek();
+    const found = token.type === "eof" ? "end of loop alias" : `'${token.value}'`;
+    throw new SyntaxError(`Unexpected ${found} in loop alias at position ${token.start} in: ${expression}`);
+  };
+  const expect = (value) => {
+    if (!is(value)) fail();
+    position++;
+  };
+  
+  function parsePattern() {
+    const token = peek();
+    if (token.type === "name") {
+      position++;
+      return { type: "name", name: token.value };
+    }
+    
+    if (is("[")) {
+      position++;
+      const elements = [];
+      while (!is("]")) {
+        elements.push(is(",") ? null : parsePattern());
+        if (!is("]")) expect(",");
+      }
+      position++;
+      return { type: "array", elements };
+    }
+    
+    if (is("{")) {
+      position++;
+      const properties = [];
+      while (!is("}")) {
+        const key = peek();
+        if (!["name", "str", "num"].includes(key.type)) fail();
+        position++;
+        // Shorthand { name } binds the property to a local of the same name
+        let target = { type: "name", name: key.value };
+        if (is(":")) {
+          position++;
+          target = parsePattern();
+        } else if (key.type !== "name") {
+          fail();
+        }
+        properties.push({ key: key.value, target });
+        if (!is("}")) expect(",");
+      }
+      position++;
+      return { type: "object", properties };
+    }
+    
+    fail();
+  }
+  
+  let aliases = [];
+  if (is("(")) {
+    position++;
+    while (!is(")")) {
+      aliases.push(parsePattern());
+      if (!is(")")) expect(",");
+    }
+    position++;
+  } else {
+    aliases = [parsePattern()];
+  }
+  if (peek().type !== "eof") fail();
+  
+  if (aliases.length === 0 || aliases.length > 3) {
+    throw new SyntaxError(`Expected one to three loop aliases (item, key, index) in: ${expression}`);
+  }
+  return aliases;
+}
+
+// Row locals for one item: every alias name plus $index
+function bindForAliases(aliases, item, key, index) {
+  const locals = { $index: index };
+  [item, key, index].forEach((value, position) => {
+    if (aliases[position]) bindForPattern(aliases[position], value, locals);
+  });
+  return locals;
+}
+
+// Unlike JavaScript destructuring, a missing item or property leaves its
+// names undefined instead of throwing, as with any other template lookup
+function bindForPattern(pattern, value, locals) {
+  if (pattern.type === "name") {
+    locals[pattern.name] = value;
+  } else if (pattern.type === "array") {
+    const values = value == null ? [] : Array.from(value);
+    pattern.elements.forEach((element, index) => {
+      if (element) bindForPattern(element, values[index], locals);
+    });
+  } else {
+    pattern.properties.forEach(({ key, target }) => {
+      bindForPattern(target, value?.[key], locals);
+    });
+  }
+}
+
+// [item, key] pairs for anything @for can loop over: arrays and other
+// iterables (Map, Set, generators, strings) keyed by index, plain objects
+// keyed by property name, a number n as the range 1..n, and nothing for
+// null or undefined
+function listEntries(source) {
+  if (source == null) return [];
+  
+  if (typeof source === "number") {
+    if (!Number.isInteger(source) || source < 0) {
+      throw new RangeError(`Expected a non-negative integer range, got: ${source}`);
+    }
+    return Array.from({ length: source }, (_, index) => [index + 1, index]);
+  }
+  
+  if (isIterable(source)) {
+    return Array.from(source, (item, index) => [item, index]);
+  }
+  
+  if (typeof source === "object") {
+    return Object.keys(source).map(key => [source[key], key]);
+  }
+  
+  throw new TypeError(`Expected an array, iterable, object or number, got: ${typeof source}`);
+}
+
+function isIterable(value) {
+  return value != null && typeof value[Symbol.iterator] === "function";
+}
+
+// Indices of the longest strictly increasing run of non-negative values,
+// used to find the rows that can stay in place during list reconciliation
+function longestIncreasingSubsequence(values) {
+  const predecessors = new Array(values.length);
+  const tails = [];
+  
+  values.forEach((value, index) => {
+    if (value < 0) return;
+    
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (values[tails[middle]] < value) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    
+    predecessors[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+  
+  const result = [];
+  let index = tails.length ? tails[tails.length - 1] : -1;
+  while (index >= 0) {
+    result.unshift(index);
+    index = predecessors[index];
+  }
+  return result;
+}
+
+// Scopes of @for rows; refs bound inside them collect into arrays
+const rowScopes = new WeakSet();
+
+// RefPlugin - ref="name" registers the element as instance.$refs.name, or
+// adds it to an array in document order inside @for rows. Refs are removed
+// with their bindings, so they follow @if and @for adding and removing
+// nodes.
+export class RefPlugin extends BindingPlugin {
+  constructor() {
+    super("ref", null);
+  }
+  
+  discover(root) {
+    const elements = [];
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_ELEMENT,
+      null,
+    );
+    
+    let node;
+    while (node = walker.nextNode()) {
+      if (node.hasAttribute("ref")) {
+        elements.push({ element: node, attribute: "ref" });
+      }
+    }
+    return elements;
+  }
+  
+  initialize({ element, attribute }, instance) {
+    const name = element.getAttribute(attribute);
+    const refs = instance.$refs;
+    const inList = rowScopes.has(instance);
+    
+    if (inList) {
+      const raw = toRaw(refs);
+      if (!listRefNames.has(raw)) {
+        listRefNames.set(raw, new Set());
+      }
+      listRefNames.get(raw).add(name);
+      const listed = Array.isArray(raw[name]) ? raw[name] : [];
+      refs[name] = sortByDocumentOrder([...listed, element]);
+    } else {
+      refs[name] = element;
+    }
+    
+    return { attribute, name, refs, inList };
+  }
+  
+  cleanup(element, { name, refs, inList }) {
+    // Read raw, so a structural plugin removing rows or branches doesn't
+    // start depending on $refs
+    const current = toRaw(refs)[name];
+    if (inList) {
+      if (Array.isArray(current)) {
+        refs[name] = current.filter(ref => ref !== element);
+      }
+    } else if (current === element) {
+      delete refs[name];
+    }
+  }
+}
+
+// Names in each $refs object that hold @for arrays
+const listRefNames = new WeakMap();
+
+function sortListRefs(refs) {
+  const raw = toRaw(refs);
+  for (const name of listRefNames.get(raw) ?? []) {
+    const elements = raw[name];
+    if (!Array.isArray(elements)) continue;
+    const sorted = sortByDocumentOrder([...elements]);
+    if (sorted.some((element, index) => element !== elements[index])) {
+      refs[name] = sorted;
+    }
+  }
+}
+
+function sortByDocumentOrder(elements) {
+  return elements.sort((a, b) =>
+    a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+  );
+}
+
+// Plugin registry
+export const bindingPlugins = new Map();
+bindingPlugins.set("interpolation", new InterpolationPlugin());
+bindingPlugins.set("property", new PropertyBindingPlugin());
+bindingPlugins.set("event", new EventBindingPlugin());
+bindingPlugins.set("attribute", new AttributeBindingPlugin());
+bindingPlugins.set("conditional", new ConditionalRenderingPlugin());
+bindingPlugins.set("visibility", new VisibilityPlugin());
+bindingPlugins.set("twoway", new TwoWayBindingPlugin());
+bindingPlugins.set("list", new ListRenderingPlugin());
+// After list, so a <select>'s @for options exist when its model applies
+bindingPlugins.set("model", new ModelBindingPlugin());
+bindingPlugins.set("ref", new RefPlugin());
+
+// Structural directives and the plugin that owns each. Everything inside
+// an element carrying one of these is bound later by that plugin, once per
+// rendered row or branch, so the generic discovery pass must skip it.
+const structuralDirectives = {
+  "@for": "list",
+  "@if": "conditional",
+  "@else-if": "conditional",
+  "@else": "conditional",
+};
+
+function isOwnedByDirective(node, root, plugin) {
+  if (node.nodeType === Node.ELEMENT_NODE) {
+    const directive = Object.keys(structuralDirectives)
+      .find(name => node.hasAttribute(name));
+    if (directive && structuralDirectives[directive] !== plugin.name) {
+      return true;
+    }
+  }
+  
+  for (let parent = node.parentNode; parent && parent !== root; parent = parent.parentNode) {
+    if (parent.nodeType !== Node.ELEMENT_NODE) continue;
+    for (const directive of Object.keys(structuralDirectives)) {
+      if (parent.hasAttribute(directive)) return true;
+    }
+  }
+  return false;
+}
+
+// Run every registered plugin over a DOM subtree and initialize what it
+// finds. Nothing read while initializing is tracked by an enclosing effect.
+function discoverBindings(root, instance) {
+  const bindings = [];
+  pauseTracking();
+  try {
+    for (const [name, plugin] of bindingPlugins) {
+      const elements = plugin.discover(root);
+      for (const element of elements) {
+        const domElement = element.element || element;
+        if (isOwnedByDirective(domElement, root, plugin)) continue;
+        const metadata = plugin.initialize(element, instance);
+        bindings.push({
+          plugin,
+          metadata,
+          element: domElement,
+          effect: null,
+        });
+      }
+    }
+  } finally {
+    resetTracking();
+  }
+  return bindings;
+}
+
+// Update scheduler
+//
+// Binding effects don't re-run synchronously on every mutation. They are
+// queued and flushed together once per microtask (or animation frame, with
+// setSchedulerMode("animation-frame")), so pushing 100 items in a loop
+// updates the DOM once. Await nextTick() to observe the settled DOM.
+
+const schedulers = {
+  "microtask": callback => queueMicrotask(callback),
+  "animation-frame": callback => requestAnimationFrame(() => callback()),
+};
+
+// Guards against bindings that keep re-triggering each other
+const maxFlushPasses = 100;
+
+let schedulerMode = "microtask";
+const updateQueue = new Set();
+let flushPromise = null;
+let nextBindingId = 0;
+
+export function setSchedulerMode(mode) {
+  if (!(mode in schedulers)) {
+    const modes = Object.keys(schedulers).map(name => `"${name}"`).join(" or ");
+    throw new Error(`Unknown scheduler mode: ${mode} (expected ${modes})`);
+  }
+  schedulerMode = mode;
+}
+
+// Resolves once pending binding updates have been applied to the DOM
+export function nextTick(callback) {
+  const promise = flushPromise ?? Promise.resolve();
+  return callback ? promise.then(callback) : promise;
+}
+
+function queueBinding(binding) {
+  updateQueue.add(binding);
+  if (!flushPromise) {
+    flushPromise = new Promise(resolve => {
+      schedulers[schedulerMode](() => {
+        // Always settle, so a failed flush can't block every later update
+        try {
+          flushBindings();
+        } finally {
+          flushPromise = null;
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+function flushBindings() {
+  for (let pass = 0; updateQueue.size; pass++) {
+    if (pass === maxFlushPasses) {
+      console.warn(`Update scheduler stopped after ${maxFlushPasses} passes; bindings keep re-triggering each other`);
+      updateQueue.clear();
+      break;
+    }
+    
+    // Bindings are numbered as they activate, so parents (an @if or @for)
+    // run before the bindings they created, and skip those they removed
+    const bindings = [...updateQueue].sort((a, b) => a.id - b.id);
+    updateQueue.clear();
+    for (const binding of bindings) {
+      binding.effect?.();
+    }
+  }
+}
+
+// Give every binding its own effect, so a change only re-runs the bindings
+// that read it. Structural plugins activate the bindings of each row or
+// branch they create, which keeps nested updates just as fine-grained. The
+// first run is synchronous; later runs go through the update scheduler.
+function activateBindings(bindings, instance) {
+  for (const binding of bindings) {
+    if (binding.effect) {
+      stop(binding.effect);
+    }
+    const { plugin, element, metadata } = binding;
+    binding.id = nextBindingId++;
+    binding.effect = effect(() => {
+      // One throwing binding mustn't skip the bindings after it, whether in
+      // render() or in a flush, and keeps the dependencies it read so far
+      try {
+        plugin.update(element, instance, metadata);
+      } catch (error) {
+        console.error(`Binding update error in ${plugin.name} plugin:`, error);
+      }
+    }, {
+      scheduler: () => queueBinding(binding),
+    });
+  }
+}
+
+function deactivateBindings(bindings) {
+  for (const binding of bindings) {
+    if (binding.effect) {
+      stop(binding.effect);
+      binding.effect = null;
+    }
+  }
+}
+
+function cleanupBindings(bindings) {
+  deactivateBindings(bindings);
+  for (const { plugin, metadata, element } of bindings) {
+    plugin.cleanup(element, metadata);
+  }
+}
+
+// Child scope for @for rows: loop variables live on `locals` (reactive for
+// rows, so bindings follow item and index changes), everything else reads
+// from and writes through to the parent scope, so methods that assign to
+// `this` still update the component. `writers` forward assignments to a
+// local elsewhere too, e.g. from the item variable into the list.
+function createScope(parent, locals, writers = {}) {
+  return new Proxy(locals, {
+    has(target, key) {
+      return key in target || key in parent;
+    },
+    get(target, key) {
+      return key in target ? target[key] : parent[key];
+    },
+    set(target, key, value) {
+      if (key in target) {
+        writers[key]?.(value);
+        target[key] = value;
+      } else {
+        parent[key] = value;
+      }
+      return true;
+    },
+  });
+}
+
+// Main bindTemplate function
+//
+// Returns a handle that is itself the render function (so existing
+// `bindTemplate(...)()` calls keep working) with three methods:
+// - render()  start reactive updates
+// - dispose() stop updates, run every binding's cleanup (including those
+//             created inside @if/@for) and remove the inserted nodes
+// - rebind()  dispose, then clone, bind and render the template again
+//
+// Options:
+// - shadow  render into the instance's shadow root instead of its light
+//           DOM: `true` or "open" attaches an open root, "closed" a closed
+//           one; an existing root is reused
+// - styles  style names or CSSStyleSheets adopted by the shadow root,
+//           defaulting to the template's own name
+export function bindTemplate(templateSelector, instance, { shadow = false, styles } = {}) {
+  const templateEl = typeof templateSelector === "string"
+    ? document.querySelector(templateSelector)
+    : templateSelector;
+  
+  const target = shadow
+    ? attachShadowRoot(instance, shadow, styles ?? [templateEl.getAttribute("name")])
+    : instance;
+  
+  // Elements with a ref attribute, kept current by RefPlugin
+  instance.$refs ??= shallowReactive({});
+  // Components get $emit from defineComponent; other hosts get one here
+  instance.$emit ??= (name, detail) => emitEvent(instance, name, detail);
+  
+  let bindings = [];
+  let nodes = [];
+  let projected = [];
+  
+  function bind() {
+    const root = templateEl.content.cloneNode(true);
+    
+    // Discovery phase
+    bindings = discoverBindings(root, instance);
+    
+    // Move the host's own children into the template's slots. Shadow
+    // roots project natively.
+    if (!shadow) {
+      projected = projectSlotContent(root, instance);
+    }
+    
+    // Attach to instance, remembering what was inserted
+    nodes = [...root.childNodes];
+    target.appendChild(root);
+  }
+  
+  function render() {
+    activateBindings(bindings, instance);
+  }
+  
+  function dispose() {
+    cleanupBindings(bindings);
+    bindings = [];
+    
+    for (const node of nodes) {
+      node.parentNode?.removeChild(node);
+    }
+    nodes = [];
+    
+    // Hand projected children back so the next bind can project them again
+    instance.append(...projected);
+    projected = [];
+  }
+  
+  function rebind() {
+    dispose();
+    bind();
+    render();
+  }
+  
+  bind();
+  
+  return Object.assign(render, { render, dispose, rebind });
+}
+
+// Dispatch a custom event from a component's host element. It bubbles and
+// is composed, so it reaches listeners outside any shadow root the host is
+// rendered in, and can be cancelled: the result is false if a listener
+// called preventDefault().
+function emitEvent(host, name, detail) {
+  return host.dispatchEvent(new CustomEvent(name, {
+    detail,
+    bubbles: true,
+    composed: true,
+    cancelable: true,
+  }));
+}
+
+// Light-DOM slot projection. Children of the host are moved into the
+// template's `<slot>` elements: those with `slot="name"` into the matching
+// named slot, the rest into the default slot. A slot keeps its fallback
+// content when nothing is assigned to it; children without a matching
+// slot are removed, as with shadow DOM. Slots inside @if/@for aren't
+// projected into. Bindings on the moved nodes belong to whichever
+// template rendered them, so they keep updating from the outer state.
+function projectSlotContent(root, host) {
+  const slots = [...root.querySelectorAll("slot")];
+  if (slots.length === 0) return [];
+  
+  const content = [...host.childNodes].filter(node => !isWhitespaceText(node));
+  const assigned = new Set();
+  
+  for (const slot of slots) {
+    const name = slot.getAttribute("name") ?? "";
+    const slotted = content.filter(node => !assigned.has(node) && getSlotName(node) === name);
+    if (slotted.length > 0) {
+      slotted.forEach(node => assigned.add(node));
+      slot.replaceChildren(...slotted);
+    }
+  }
+  
+  for (const node of content) {
+    if (!assigned.has(node)) node.remove();
+  }
+  
+  return content;
+}
+
+function getSlotName(node) {
+  return node.nodeType === Node.ELEMENT_NODE
+    ? node.getAttribute("slot") ?? ""
+    : "";
+}
+
+function isWhitespaceText(node) {
+  return node.nodeType === Node.TEXT_NODE && !node.textContent.trim();
+}
+
+// Shadow roots created by bindTemplate, so closed roots (which aren't
+// reachable through element.shadowRoot) are reused on the next bind
+const shadowRoots = new WeakMap();
+
+function attachShadowRoot(instance, shadow, styles) {
+  let root = instance.shadowRoot ?? shadowRoots.get(instance);
+  if (!root) {
+    const mode = shadow === "closed" ? "closed" : "open";
+    root = instance.attachShadow({ mode });
+    shadowRoots.set(instance, root);
+  }
+  
+  const sheets = styles
+    .map(style => typeof style === "string" ? getComponentStyleSheet(style) : style)
+    .filter(Boolean);
+  root.adoptedStyleSheets = [...new Set([...root.adoptedStyleSheets, ...sheets])];
+  
+  return root;
+}
+
+// Constructable stylesheets by component style name. loadComponent
+// registers each `<style name="...">` here; styles already in the document
+// are converted on first use.
+const componentStyleSheets = new Map();
+
+function registerComponentStyle(name, cssText) {
+  const sheet = new CSSStyleSheet();
+  sheet.replaceSync(cssText);
+  componentStyleSheets.set(name, sheet);
+  return sheet;
+}
+
+function getComponentStyleSheet(name) {
+  if (!name) return null;
+  if (componentStyleSheets.has(name)) {
+    return componentStyleSheets.get(name);
+  }
+  
+  const style = document.querySelector(`style[name="${name}"]`);
+  return style ? registerComponentStyle(name, style.textContent) : null;
+}
+
+// DOM Utilities
+export function parseToFragment(htmlString) {
+  const fragment = new DocumentFragment();
+  const tempDiv = document.createElement("div");
+  tempDiv.innerHTML = htmlString;
+  while (tempDiv.firstChild) {
+    fragment.appendChild(tempDiv.firstChild);
+  }
+  return fragment;
+}
+
+export function updateIDs(element) {
+  for (const icon of element.querySelectorAll("[id]")) {
+    const { id } = icon;
+    icon.id = `lucide-${id}`;
+  }
+  
+  return element;
+}
+
+export async function fetchText(url) {
+  const response = await fetch(url);
+  if (response.ok) {
+    return response.text();
+  } else {
+    const msg = `Failed to fetch:
+  URL:    ${url}
+  Status: ${response.status} ${response.statusText}`;
+    throw new Error(msg);
+  }
+}
+
+// Component utilities
+//
+// Waits for custom elements to be defined. Tags covered by
+// autoloadComponents() are loaded if needed, and a failed load rejects.
+export async function componentsReady(...names) {
+  await Promise.all(names.map(name => Promise.all([
+    autoloadComponent(name),
+    customElements.whenDefined(name),
+  ])));
+  console.debug(`✅ componentsReady(${ names.join(", ") })`);
+}
+
+// Autoloading
+//
+// Maps tag patterns to component file URLs so undefined custom elements
+// load their own definitions, without a <ui-include> per file:
+//
+//   autoloadComponents({
+//     "ui-*": "./components/{tag}.component.html",
+//     "app-shell": "./layout/shell.html",
+//   });
+//
+// `{tag}` is the full tag name and `{name}` the part matched by `*`.
+// Exact tags win over patterns, and longer prefixes over shorter ones.
+const autoloadPaths = new Map();
+
+// Autoload attempts by tag, so each tag is tried once
+const autoloads = new Map();
+
+export function autoloadComponents(paths) {
+  for (const [pattern, url] of Object.entries(paths)) {
+    // Resolve now, so the paths are relative to the registering page
+    autoloadPaths.set(pattern, new URL(url, document.baseURI).href);
+  }
+  
+  autoloadElements(document);
+}
+
+// Load undefined custom elements in `root` that match a registered path
+function autoloadElements(root) {
+  if (autoloadPaths.size === 0) return;
+  
+  const elements = [...root.querySelectorAll(":not(:defined)")];
+  if (root.matches?.(":not(:defined)")) {
+    elements.push(root);
+  }
+  
+  for (const element of elements) {
+    autoloadComponent(element.localName);
+  }
+}
+
+function autoloadComponent(tag) {
+  if (autoloads.has(tag)) return autoloads.get(tag);
+  if (!tag.includes("-") || customElements.get(tag)) return null;
+  // <ui-include> is handled by processIncludes and never defined
+  if (tag === "ui-include") return null;
+  
+  const url = resolveAutoloadURL(tag);
+  if (!url) return null;
+  
+  const load = loadComponent(url).then(() => {
+    if (!customElements.get(tag)) {
+      console.warn(`Autoloaded ${url} but it did not define <${tag}>`);
+    }
+  });
+  load.catch(error => {
+    console.error(`Autoload error for <${tag}>:`, error.message);
+  });
+  
+  autoloads.set(tag, load);
+  return load;
+}
+
+function resolveAutoloadURL(tag) {
+  if (autoloadPaths.has(tag)) {
+    return fillAutoloadURL(autoloadPaths.get(tag), tag, tag);
+  }
+  
+  const [pattern] = [...autoloadPaths.keys()]
+    .filter(pattern => pattern.endsWith("*") && tag.startsWith(pattern.slice(0, -1)))
+    .sort((a, b) => b.length - a.length);
+  if (!pattern) return null;
+  
+  return fillAutoloadURL(autoloadPaths.get(pattern), tag, tag.slice(pattern.length - 1));
+}
+
+// The URLs were resolved with new URL(), which percent-encodes the braces
+function fillAutoloadURL(url, tag, name) {
+  return url
+    .replaceAll(encodeURI("{tag}"), tag)
+    .replaceAll(encodeURI("{name}"), name);
+}
+
+// Define a custom element from a template and a plain options object:
+//
+//   defineComponent("my-counter", {
+//     template: `template[name="my-counter"]`,   // default
+//     shadow: false,                             // or true, "closed"
+//     props: { step: { type: Number, default: 1, reflect: true } },
+//     state: () => ({ count: 0 }),
+//     methods: { increment() { this.count += this.step; } },
+//     provide: () => ({ theme: reactive({ dark: false }) }),
+//     connected() {},
+//     disconnected() {},
+//   });
+//
+// Props and state live in a reactive `$state` object and are exposed as
+// element properties, so templates bind to them by name. `$emit(name,
+// detail)` dispatches a bubbling, composed CustomEvent from the element;
+// `provide`d values are in place before any descendant connects. Props sync from
+// their (kebab-cased) attributes with type coercion and optionally reflect
+// back. The template is bound on connect and disposed on disconnect; with
+// `shadow` it renders into a shadow root that adopts `<style name="tag">`.
+export function defineComponent(tag, {
+  template = `template[name="${tag}"]`,
+  shadow = false,
+  props = {},
+  state = {},
+  methods = {},
+  provide: provided,
+  connected,
+  disconnected,
+} = {}) {
+  const propList = Object.entries(props)
+    .map(([name, definition]) => normalizeProp(name, definition));
+  const propsByAttribute = new Map(propList.map(prop => [prop.attribute, prop]));
+  
+  class Component extends HTMLElement {
+    static observedAttributes = [...propsByAttribute.keys()];
     
-    // Clear existing rendered elements
-    metadata.renderedElements.forEach(el => {
-      if (el.parentNode) {
-        el.parentNode.removeChild(el);
+    constructor() {
+      super();
+      this.$view = null;
+      this.$state = reactive({});
+      
+      for (const prop of propList) {
+        this.$state[prop.name] = fromAttribute(this.getAttribute(prop.attribute), prop);
       }
-    });
-    metadata.renderedElements = [];
+      
+      // Use a function for state with nested objects; a plain object is
+      // only copied shallowly
+      const initialState = typeof state === "function"
+        ? state.call(this)
+        : { ...state };
+      for (const [key, value] of Object.entries(initialState)) {
+        this.$state[key] = value;
+        Object.defineProperty(this, key, {
+          get: () => this.$state[key],
+          set: (newValue) => {
+            this.$state[key] = newValue;
+          },
+          enumerable: true,
+          configurable: true,
+        });
+      }
+      
+      // Provide before the template binds, so child components can inject
+      // when they connect
+      const context = typeof provided === "function" ? provided.call(this) : provided;
+      for (const [key, value] of Object.entries(context ?? {})) {
+        provide(this, key, value);
+      }
+      
+      // Properties set before the element was upgraded shadow the prop
+      // accessors; move them into state
+      for (const prop of propList) {
+        if (Object.hasOwn(this, prop.name)) {
+          const value = this[prop.name];
+          delete this[prop.name];
+          this[prop.name] = value;
+        }
+      }
+    }
     
-    try {
-      // Evaluate the iterable expression
-      const func = new Function("instance", `
-        with (instance) {
-          return ${iterableExpr};
+    connectedCallback() {
+      for (const prop of propList) {
+        if (prop.reflect && !this.hasAttribute(prop.attribute)) {
+          reflectProp(this, prop, this.$state[prop.name]);
         }
-      `);
-      let items = func(instance);
+      }
       
-      // Handle different iterable types
-      if (Array.isArray(items)) {
-        // Arrays work as-is
-      } else if (items && typeof items === "object") {
-        // Convert object to array of values
-        items = Object.values(items);
-      } else {
-        console.warn(`List rendering expected array or object, got: ${typeof items}`);
-        return;
+      if (this.$view) {
+        this.$view.rebind();
+      } else if (template) {
+        this.$view = bindTemplate(template, this, { shadow, styles: [tag] });
+        this.$view.render();
       }
       
-      // Render each item
-      let insertAfter = comment;
-      items.forEach((item, index) => {
-        const itemElement = template.cloneNode(true);
-        
-        // Create scope with loop variable
-        const itemScope = Object.create(instance);
-        itemScope[itemVar] = item;
-        itemScope.$index = index;
-        
-        // Process nested bindings in the item element
-        this.processNestedBindings(itemElement, itemScope);
-        
-        // Insert the element after the last inserted element
-        parent.insertBefore(itemElement, insertAfter.nextSibling);
-        insertAfter = itemElement;
-        metadata.renderedElements.push(itemElement);
-      });
-    } catch (error) {
-      console.warn(`List rendering error for ${iterableExpr}:`, error.message);
+      connected?.call(this);
     }
-  }
-  
-  processNestedBindings(element, scope) {
-    // Process text interpolation
-    const textNodes = [];
-    const walker = document.createTreeWalker(
-      element,
-      NodeFilter.SHOW_TEXT,
-      null
-    );
-    let node;
-    while (node = walker.nextNode()) {
-      textNodes.push(node);
+    
+    disconnectedCallback() {
+      disconnected?.call(this);
+      this.$view?.dispose();
     }
     
-    textNodes.forEach(textNode => {
-      const text = textNode.textContent;
-      const interpolationRegex = /\{\{([^}]+)\}\}/g;
-      
-      if (interpolationRegex.test(text)) {
-        const newText = text.replace(interpolationRegex, (match, expression) => {
-          try {
-            const func = new Function("scope", `
-              with (scope) {
-                return ${expression.trim()};
-              }
-            `);
-            const value = func(scope);
-            return value != null ? String(value) : "";
-          } catch (error) {
-            return match; // Return placeholder on error
-          }
-        });
-        textNode.textContent = newText;
-      }
-    });
+    // Notify the parent: this.$emit("item-selected", item) in methods, or
+    // $emit(...) in the template, heard with on:item-selected
+    $emit(name, detail) {
+      return emitEvent(this, name, detail);
+    }
     
-    // Process attribute bindings
-    const elementsWalker = document.createTreeWalker(
-      element,
-      NodeFilter.SHOW_ELEMENT,
-      null
-    );
-    const elements = [];
-    let elemNode;
-    while (elemNode = elementsWalker.nextNode()) {
-      elements.push(elemNode);
+    provide(key, value) {
+      provide(this, key, value);
     }
     
-    elements.forEach(elemNode => {
-      const attributes = Array.from(elemNode.attributes);
-      attributes.forEach(attr => {
-        if (attr.name.startsWith("[") && attr.name.endsWith("]")) {
-          const attrName = attr.name.slice(1, -1);
-          const expression = attr.value;
-          
-          try {
-            const func = new Function("scope", `
-              with (scope) {
-                return ${expression};
-              }
-            `);
-            const value = func(scope);
-            
-            if (value === false || value == null) {
-              elemNode.removeAttribute(attrName);
-            } else {
-              elemNode.setAttribute(attrName, String(value));
-            }
-            elemNode.removeAttribute(attr.name);
-          } catch (error) {
-            // Keep original attribute on error
-          }
-        }
-      });
-    });
+    inject(key, defaultValue) {
+      return inject(this, key, defaultValue);
+    }
+    
+    attributeChangedCallback(name, oldValue, value) {
+      if (reflectingElements.has(this)) return;
+      const prop = propsByAttribute.get(name);
+      this.$state[prop.name] = fromAttribute(value, prop);
+    }
   }
   
-  cleanup(element, metadata) {
-    // Clean up rendered elements
-    metadata.renderedElements.forEach(el => {
-      if (el.parentNode) {
-        el.parentNode.removeChild(el);
-      }
+  for (const prop of propList) {
+    Object.defineProperty(Component.prototype, prop.name, {
+      get() {
+        return this.$state[prop.name];
+      },
+      set(value) {
+        this.$state[prop.name] = value;
+        if (prop.reflect) {
+          reflectProp(this, prop, value);
+        }
+      },
+      configurable: true,
     });
   }
+  
+  // Copy descriptors so getters (computed values) work alongside methods
+  Object.defineProperties(Component.prototype, Object.getOwnPropertyDescriptors(methods));
+  
+  customElements.define(tag, Component);
+  return Component;
 }
 
-// Plugin registry
-export const bindingPlugins = new Map();
-bindingPlugins.set("interpolation", new InterpolationPlugin());
-bindingPlugins.set("property", new PropertyBindingPlugin());
-bindingPlugins.set("event", new EventBindingPlugin());
-bindingPlugins.set("attribute", new AttributeBindingPlugin());
-bindingPlugins.set("conditional", new ConditionalRenderingPlugin());
-bindingPlugins.set("twoway", new TwoWayBindingPlugin());
-bindingPlugins.set("list", new ListRenderingPlugin());
+// Elements currently writing a reflected attribute, whose own
+// attributeChangedCallback must not write the value back
+const reflectingElements = new WeakSet();
 
-// Main bindTemplate function
-export function bindTemplate(templateSelector, instance) {
-  const templateEl = typeof templateSelector === "string"
-    ? document.querySelector(templateSelector)
-    : templateSelector;
-  const root = templateEl.content.cloneNode(true);
-  const boundElements = new Map();
-  
-  // Discovery phase
-  for (const [name, plugin] of bindingPlugins) {
-    const elements = plugin.discover(root);
-    for (const element of elements) {
-      const domElement = element.element || element;
-      if (!boundElements.has(domElement)) {
-        boundElements.set(domElement, []);
-      }
-      const metadata = plugin.initialize(element, instance);
-      boundElements.get(domElement).push({
-        plugin,
-        metadata,
-        element: domElement,
-      });
-    }
+// Accepts `Number`, or `{ type, default, reflect, attribute }`
+function normalizeProp(name, definition) {
+  const options = typeof definition === "function" || definition == null
+    ? { type: definition }
+    : definition;
+  
+  return {
+    name,
+    type: options.type ?? String,
+    default: options.default,
+    reflect: options.reflect ?? false,
+    attribute: options.attribute ?? toKebabCase(name),
+  };
+}
+
+function defaultPropValue(prop) {
+  return typeof prop.default === "function" && prop.type !== Function
+    ? prop.default()
+    : prop.default;
+}
+
+// A Boolean prop is attribute presence, except that it falls back to its
+// default when the attribute is missing; `attr="false"` turns off a prop
+// that defaults to true
+function fromAttribute(value, prop) {
+  if (prop.type === Boolean) {
+    return value === null ? Boolean(defaultPropValue(prop)) : value !== "false";
   }
+  if (value === null) return defaultPropValue(prop);
   
-  // Attach to instance
-  instance.appendChild(root);
+  switch (prop.type) {
+    case Number:
+      return Number(value);
+    case Object:
+    case Array:
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        console.warn(`Component prop error for ${prop.name}:`, error.message);
+        return defaultPropValue(prop);
+      }
+    default:
+      return value;
+  }
+}
+
+function reflectProp(element, prop, value) {
+  let attributeValue;
+  if (prop.type === Boolean) {
+    // Removing the attribute would read back as a true default
+    attributeValue = value ? "" : defaultPropValue(prop) ? "false" : null;
+  } else if (value == null) {
+    attributeValue = null;
+  } else if (prop.type === Object || prop.type === Array) {
+    attributeValue = JSON.stringify(value);
+  } else {
+    attributeValue = String(value);
+  }
   
-  // Convert to live bindings
-  const liveBindings = new Map();
-  for (const [element, bindings] of boundElements) {
-    if (!liveBindings.has(element)) {
-      liveBindings.set(element, []);
+  reflectingElements.add(element);
+  try {
+    if (attributeValue === null) {
+      element.removeAttribute(prop.attribute);
+    } else {
+      element.setAttribute(prop.attribute, attributeValue);
     }
-    liveBindings.get(element).push(...bindings);
+  } finally {
+    reflectingElements.delete(element);
+  }
+}
+
+// Context
+//
+// provide() makes a value (a theme, the current user, a store) available to
+// every descendant of an element, and inject() finds it from the nearest
+// ancestor that provides the key, walking up parent nodes and out of
+// shadow roots to their hosts. Nothing is copied: a reactive() value is
+// shared as is, so bindings that read it update when it changes.
+
+// Values each element provides, by key. The maps are reactive, so an
+// inject() inside a binding re-runs when a value it found is replaced, or
+// when a nearer ancestor starts providing the key.
+const providers = new WeakMap();
+
+function getProviders(node) {
+  if (!providers.has(node)) {
+    providers.set(node, shallowReactive(new Map()));
+  }
+  return providers.get(node);
+}
+
+export function provide(host, key, value) {
+  getProviders(host).set(key, value);
+}
+
+export function inject(host, key, defaultValue) {
+  // Every ancestor on the way gets a map, so the lookup tracks all of them
+  for (let node = getParentOrHost(host); node; node = getParentOrHost(node)) {
+    const values = getProviders(node);
+    if (values.has(key)) return values.get(key);
   }
+  return defaultValue;
+}
+
+function getParentOrHost(node) {
+  const parent = node.parentNode;
+  return parent instanceof ShadowRoot ? parent.host : parent;
+}
+
+// Scoped component styles
+//
+// Rewrites the top-level selectors of a stylesheet so they only match the
+// `scope` element (a component tag) and its descendants:
+//
+//   .title { }                   →  my-card .title { }
+//   :host { }                    →  my-card { }
+//   :host(.active) > p { }       →  my-card.active > p { }
+//   :host-context(.dark) p { }   →  .dark my-card p { }
+//   html.dark p { }              →  html.dark my-card p { }
+//   :root { }, body { }          →  unchanged
+//   my-card svg { }              →  unchanged
+//
+// Nested rules are already relative to their parent rule and are left
+// alone, so CSS nesting works unchanged. Grouping at-rules are scoped
+// recursively; other at-rules (@keyframes, @font-face, ...) are kept as is.
+const groupingAtRules = new Set(["media", "supports", "container", "layer", "starting-style"]);
+
+function scopeCSS(cssText, scope) {
+  let output = "";
+  let index = 0;
   
-  // Return reactive render function
-  let renderEffect;
-  return function render() {
-    if (renderEffect) {
-      renderEffect.stop?.();
+  while (index < cssText.length) {
+    const open = findCSSDelimiter(cssText, index);
+    if (cssText[open] !== "{") {
+      output += cssText.slice(index, open + 1);
+      index = open + 1;
+      continue;
     }
     
-    renderEffect = effect(() => {
-      for (const [element, bindings] of liveBindings) {
-        for (const { plugin, metadata } of bindings) {
-          plugin.update(element, instance, metadata);
-        }
-      }
-    });
+    const close = findCSSBlockEnd(cssText, open);
+    const prelude = cssText.slice(index, open);
+    const body = cssText.slice(open + 1, close);
+    const atRule = prelude.trim().match(/^@([\w-]+)/);
     
-    // Force initial update to ensure property bindings work on first render
-    if (!renderEffect.ran) {
-      for (const [element, bindings] of liveBindings) {
-        for (const { plugin, metadata } of bindings) {
-          plugin.update(element, instance, metadata);
-        }
-      }
-      renderEffect.ran = true;
+    if (atRule) {
+      const scopedBody = groupingAtRules.has(atRule[1].toLowerCase())
+        ? scopeCSS(body, scope)
+        : body;
+      output += `${prelude}{${scopedBody}}`;
+    } else {
+      output += `${scopeSelectorList(prelude, scope)}{${body}}`;
     }
-  };
+    index = close + 1;
+  }
+  
+  return output;
 }
 
-// DOM Utilities
-export function parseToFragment(htmlString) {
-  const fragment = new DocumentFragment();
-  const tempDiv = document.createElement("div");
-  tempDiv.innerHTML = htmlString;
-  while (tempDiv.firstChild) {
-    fragment.appendChild(tempDiv.firstChild);
+function scopeSelectorList(selectorList, scope) {
+  // Keep leading whitespace and comments in place
+  const [, leading, selectors] = selectorList.match(/^((?:\s|\/\*[\s\S]*?\*\/)*)([\s\S]*)$/);
+  const scoped = splitSelectorList(selectors).map(selector => scopeSelector(selector, scope));
+  return leading + scoped.join(",");
+}
+
+// A leading :root, html or body compound selector, e.g. `html.dark`
+const documentRootSelector = /^(?::root|html|body)(?![\w-])[^\s>+~]*/i;
+
+function scopeSelector(selector, scope) {
+  const [, space, rest] = selector.match(/^(\s*)([\s\S]*)$/);
+  
+  if (/:host(?![\w-])|:host-context\(/.test(rest)) {
+    return space + replaceHostSelectors(rest, scope);
   }
-  return fragment;
+  
+  // Document-root rules stay global on their own; anything under them is
+  // scoped below the root, as with :host-context()
+  const root = rest.match(documentRootSelector);
+  if (root) {
+    const descendants = rest.slice(root[0].length);
+    return descendants.trim()
+      ? `${space}${root[0]} ${scope}${descendants}`
+      : selector;
+  }
+  
+  const scopePattern = new RegExp(`^${scope.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}(?![\\w-])`);
+  if (scopePattern.test(rest)) {
+    return selector;
+  }
+  
+  return `${space}${scope} ${rest}`;
 }
 
-export function updateIDs(element) {
-  for (const icon of element.querySelectorAll("[id]")) {
-    const { id } = icon;
-    icon.id = `lucide-${id}`;
+// :host → tag, :host(x) → tagx and :host-context(x) → `x tag`, where x
+// may hold parentheses of its own, e.g. :host(:not(.open))
+function replaceHostSelectors(selector, scope) {
+  const pattern = /:host(-context)?(?![\w-])(\()?/g;
+  let result = "";
+  let last = 0;
+  let match;
+  
+  while (match = pattern.exec(selector)) {
+    const [text, context, open] = match;
+    if (context && !open) continue;
+    
+    result += selector.slice(last, match.index);
+    last = match.index + text.length;
+    if (!open) {
+      result += scope;
+      continue;
+    }
+    
+    const end = findClosingParenthesis(selector, last);
+    const argument = selector.slice(last, end);
+    result += context ? `${argument} ${scope}` : `${scope}${argument}`;
+    last = pattern.lastIndex = end + 1;
   }
   
-  return element;
+  return result + selector.slice(last);
 }
 
-export async function fetchText(url) {
-  const response = await fetch(url);
-  if (response.ok) {
-    return response.text();
-  } else {
-    const msg = `Failed to fetch:
-  URL:    ${url}
-  Status: ${response.status} ${response.statusText}`;
-    throw new Error(msg);
+// Index of the ")" closing the parenthesis opened just before `start`
+function findClosingParenthesis(text, start) {
+  let depth = 1;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"' || char === "'") {
+      i = skipCSSString(text, i);
+    } else if (char === "(") {
+      depth++;
+    } else if (char === ")" && --depth === 0) {
+      return i;
+    }
   }
+  return text.length;
 }
 
-// Component utilities
-export async function componentsReady(...names) {
-  await Promise.all(names.map(name => customElements.whenDefined(name)));
-  console.debug(`✅ componentsReady(${ names.join(", ") })`);
+// Split on commas outside parentheses, brackets and strings
+function splitSelectorList(selectors) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  
+  for (let i = 0; i < selectors.length; i++) {
+    const char = selectors[i];
+    if (char === '"' || char === "'") {
+      i = skipCSSString(selectors, i);
+    } else if (char === "(" || char === "[") {
+      depth++;
+    } else if (char === ")" || char === "]") {
+      depth--;
+    } else if (char === "," && depth === 0) {
+      parts.push(selectors.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(selectors.slice(start));
+  
+  return parts;
+}
+
+// Index of the next `{`, `;` or `}` at or after `start`, skipping
+// comments and strings
+function findCSSDelimiter(text, start) {
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === "/" && text[i + 1] === "*") {
+      i = skipCSSComment(text, i);
+    } else if (char === '"' || char === "'") {
+      i = skipCSSString(text, i);
+    } else if (char === "{" || char === ";" || char === "}") {
+      return i;
+    }
+  }
+  return text.length;
+}
+
+// Index of the `}` matching the `{` at `open`
+function findCSSBlockEnd(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    const char = text[i];
+    if (char === "/" && text[i + 1] === "*") {
+      i = skipCSSComment(text, i);
+    } else if (char === '"' || char === "'") {
+      i = skipCSSString(text, i);
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}" && --depth === 0) {
+      return i;
+    }
+  }
+  return text.length;
+}
+
+function skipCSSComment(text, start) {
+  const end = text.indexOf("*/", start + 2);
+  return end === -1 ? text.length : end + 1;
+}
+
+function skipCSSString(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === "\\") {
+      i++;
+    } else if (text[i] === quote) {
+      return i;
+    }
+  }
+  return text.length;
+}
+
+// Component loads by absolute URL, so a file included several times (or
+// under different relative paths) is fetched and run once
+const componentLoads = new Map();
+
+// Load and inject HTML component fragments. Resolves after the file's
+// scripts have run, including any top-level await.
+export function loadComponent(url) {
+  const absoluteURL = new URL(url, document.baseURI).href;
+  
+  if (!componentLoads.has(absoluteURL)) {
+    const load = injectComponent(absoluteURL);
+    // Allow a failed load to be retried
+    load.catch(() => componentLoads.delete(absoluteURL));
+    componentLoads.set(absoluteURL, load);
+  }
+  
+  return componentLoads.get(absoluteURL);
 }
 
-// Load and inject HTML component fragments
-export async function loadComponent(url) {
+async function injectComponent(url) {
   const html = await fetchText(url);
   const fragment = parseToFragment(html);
   
+  await loadIncludedComponents(fragment, url);
+  
+  // Templates and styles added so far, taken out again if a script fails
+  // so that a retried load doesn't add them twice
+  const injected = [];
+  
   // Extract and inject templates
   const templates = fragment.querySelectorAll("template");
   templates.forEach(template => {
     document.body.appendChild(template);
+    injected.push(template);
   });
   
-  // Extract and inject styles
+  // Extract and inject styles. Named styles are also registered, unscoped,
+  // for adoption by shadow roots; `<style name="..." shadow>` is only
+  // adopted and never added to the document.
   const styles = fragment.querySelectorAll("style");
   styles.forEach(style => {
+    const name = style.getAttribute("name");
+    if (name) {
+      registerComponentStyle(name, style.textContent);
+    }
+    if (name && style.hasAttribute("shadow")) return;
+    
+    // `<style name="..." scoped>` only applies inside that component
+    if (style.hasAttribute("scoped")) {
+      if (name) {
+        style.textContent = scopeCSS(style.textContent, name);
+      } else {
+        console.warn(`Scoped style in ${url} needs a name attribute; left unscoped`);
+      }
+    }
     document.head.appendChild(style);
+    injected.push(style);
   });
   
-  // Extract and execute scripts
+  // Run scripts in document order, as modules whose relative imports
+  // resolve against the component file rather than the page
   const scripts = fragment.querySelectorAll("script");
-  const scriptPromises = [];
-  
-  scripts.forEach(script => {
-    if (script.type === "module" || !script.type) {
-      const newScript = document.createElement("script");
-      newScript.type = "module";
-      newScript.textContent = script.textContent;
-      scriptPromises.push(new Promise((resolve) => {
-        newScript.onload = resolve;
-        newScript.onerror = resolve;
-        document.body.appendChild(newScript);
-        // Module scripts don't fire load events for inline content
-        setTimeout(resolve, 0);
-      }));
+  try {
+    for (const script of scripts) {
+      if (script.type && script.type !== "module") continue;
+      
+      const src = script.getAttribute("src");
+      if (src) {
+        await import(/* @vite-ignore */ new URL(src, url).href);
+      } else {
+        await runModuleScript(script.textContent, url);
+      }
     }
-  });
+  } catch (error) {
+    injected.forEach(node => node.remove());
+    throw error;
+  }
+}
+
+// Component URLs each pending load is waiting on, to detect include cycles
+const componentDependencies = new Map();
+
+// Load the files a component includes with its own `<ui-include>`s
+// (relative to the component) before the component itself. An include
+// leading back to a file that is waiting on this one is a cycle: it is
+// skipped with a warning instead of waiting forever.
+async function loadIncludedComponents(fragment, url) {
+  const includes = fragment.querySelectorAll("ui-include[src]");
+  if (includes.length === 0) return;
+  
+  const dependencies = new Set();
+  componentDependencies.set(url, dependencies);
   
-  await Promise.all(scriptPromises);
+  try {
+    await Promise.all([...includes].map(include => {
+      const dependencyURL = new URL(include.getAttribute("src"), url).href;
+      if (dependsOnComponent(dependencyURL, url)) {
+        console.warn(`ui-include cycle: ${url} includes ${dependencyURL}, which leads back to it`);
+        return;
+      }
+      dependencies.add(dependencyURL);
+      return loadComponent(dependencyURL);
+    }));
+  } finally {
+    componentDependencies.delete(url);
+  }
+}
+
+function dependsOnComponent(url, target, visited = new Set()) {
+  if (url === target) return true;
+  if (visited.has(url)) return false;
+  visited.add(url);
+  
+  const dependencies = componentDependencies.get(url) ?? [];
+  return [...dependencies].some(dependency => dependsOnComponent(dependency, target, visited));
+}
+
+// Evaluate inline module code as if it were loaded from `baseURL`. The
+// code runs from a blob: URL, so relative specifiers and import.meta.url
+// are rewritten to absolute URLs first. Under a Content-Security-Policy,
+// inline component scripts need `blob:` in script-src; scripts with a src
+// are imported from their own URL instead.
+async function runModuleScript(code, baseURL) {
+  const blob = new Blob([resolveModuleSpecifiers(code, baseURL)], { type: "text/javascript" });
+  const moduleURL = URL.createObjectURL(blob);
+  try {
+    return await import(/* @vite-ignore */ moduleURL);
+  } finally {
+    URL.revokeObjectURL(moduleURL);
+  }
 }
 
-// Process ui-include directives in the document
-export async function processIncludes() {
-  const includes = document.querySelectorAll("ui-include[src]");
-  const promises = [];
+// After these, a `/` starts a regular expression rather than a division
+const regexPrecedingWords = new Set([
+  "return", "typeof", "instanceof", "in", "of", "new", "delete", "void",
+  "throw", "case", "do", "else", "yield", "await",
+]);
+
+// Rewrite relative specifiers in import/export statements and import()
+// calls, and import.meta.url, against `baseURL`. Strings, comments,
+// template literals and regular expressions are skipped, so text that only
+// looks like an import is left alone.
+function resolveModuleSpecifiers(code, baseURL) {
+  let output = "";
+  let index = 0;
+  // Last significant word or punctuator, to tell a regex from a division
+  let previous = "";
+  // Brace depth at each open template substitution `${`
+  const substitutions = [];
+  let depth = 0;
+  
+  const copyTo = (end) => {
+    output += code.slice(index, end);
+    index = end;
+  };
+  const skipSpace = (position) => {
+    while (/\s/.test(code[position] ?? "")) position++;
+    return position;
+  };
+  const stringEnd = (position) => {
+    const quote = code[position];
+    for (let i = position + 1; i < code.length; i++) {
+      if (code[i] === "\\") i++;
+      else if (code[i] === quote || code[i] === "\n") return i + 1;
+    }
+    return code.length;
+  };
+  // Copy a specifier string literal starting at `position`, resolved
+  const copySpecifier = (position) => {
+    const end = stringEnd(position);
+    const quote = code[position];
+    const specifier = code.slice(position + 1, end - 1);
+    const resolved = /^\.{0,2}\//.test(specifier) ? new URL(specifier, baseURL).href : specifier;
+    copyTo(position);
+    output += quote + resolved + quote;
+    index = end;
+  };
+  // Copy template literal text up to and including its closing backtick
+  // or the next `${`
+  const copyTemplate = () => {
+    let i = index;
+    while (i < code.length) {
+      if (code[i] === "\\") {
+        i += 2;
+      } else if (code[i] === "`") {
+        copyTo(i + 1);
+        return;
+      } else if (code[i] === "$" && code[i + 1] === "{") {
+        copyTo(i + 2);
+        substitutions.push(depth++);
+        return;
+      } else {
+        i++;
+      }
+    }
+    copyTo(code.length);
+  };
   
-  for (const include of includes) {
-    const src = include.getAttribute("src");
-    if (src) {
-      promises.push(loadComponent(src).then(() => {
-        // Remove the include element after loading
-        include.remove();
-      }));
+  while (index < code.length) {
+    const char = code[index];
+    const next = code[index + 1];
+    
+    if (/\s/.test(char)) {
+      copyTo(index + 1);
+    } else if (char === "/" && next === "/") {
+      const end = code.indexOf("\n", index);
+      copyTo(end === -1 ? code.length : end);
+    } else if (char === "/" && next === "*") {
+      const end = code.indexOf("*/", index + 2);
+      copyTo(end === -1 ? code.length : end + 2);
+    } else if (char === "\"" || char === "'") {
+      copyTo(stringEnd(index));
+      previous = "string";
+    } else if (char === "`") {
+      copyTo(index + 1);
+      copyTemplate();
+      previous = "string";
+    } else if (char === "/" && (!previous || regexPrecedingWords.has(previous) || /^[(,=:[!&|?{};+\-*%<>~^]$/.test(previous))) {
+      // Regular expression literal, which may contain quotes or slashes
+      // inside a character class
+      let i = index + 1;
+      let inClass = false;
+      while (i < code.length && code[i] !== "\n" && (inClass || code[i] !== "/")) {
+        if (code[i] === "\\") i++;
+        else if (code[i] === "[") inClass = true;
+        else if (code[i] === "]") inClass = false;
+        i++;
+      }
+      copyTo(i + 1);
+      previous = "regex";
+    } else if (/[\w$]/.test(char)) {
+      const word = code.slice(index).match(/^[\w$]+/)[0];
+      const isKeyword = previous !== "." && (word === "import" || word === "export");
+      copyTo(index + word.length);
+      if (isKeyword) {
+        const after = skipSpace(index);
+        const meta = code.slice(after).match(/^\.\s*meta\s*\.\s*url(?![\w$])/);
+        const clause = code.slice(after).match(/^[\w$*{}\s,]*?\bfrom\s*(?=["'])/);
+        if (word === "import" && meta) {
+          // import.meta.url
+          output = output.slice(0, -word.length) + JSON.stringify(baseURL);
+          index = after + meta[0].length;
+        } else if (word === "import" && code[after] === "(") {
+          // import("./x.js")
+          const argument = skipSpace(after + 1);
+          if (code[argument] === "\"" || code[argument] === "'") copySpecifier(argument);
+        } else if (word === "import" && (code[after] === "\"" || code[after] === "'")) {
+          // import "./x.js"
+          copySpecifier(after);
+        } else if (clause) {
+          // import x from "./x.js", export { x } from "./x.js"
+          copySpecifier(after + clause[0].length);
+        }
+      }
+      previous = word;
+    } else {
+      if (char === "{") {
+        depth++;
+      } else if (char === "}") {
+        depth--;
+        if (substitutions.at(-1) === depth) {
+          // End of a template substitution: back into the template text
+          substitutions.pop();
+          copyTo(index + 1);
+          copyTemplate();
+          previous = "string";
+          continue;
+        }
+      }
+      copyTo(index + 1);
+      previous = char;
     }
   }
   
-  await Promise.all(promises);
+  return output;
+}
+
+// ui-include elements already being processed, with the src they loaded
+const includeLoads = new WeakMap();
+
+// Process ui-include directives in `root` (the document by default).
+// Resolves once every include has loaded or failed.
+export async function processIncludes(root = document) {
+  const includes = [...root.querySelectorAll("ui-include[src]")];
+  if (root.matches?.("ui-include[src]")) {
+    includes.unshift(root);
+  }
+  
+  await Promise.all(includes.map(processInclude));
+}
+
+// An include is marked `loading` while its file loads. On success it fires
+// `load` and is removed; on failure it fires `error`, gets an `error`
+// attribute and stays in place so its children show as fallback content.
+function processInclude(include) {
+  const src = include.getAttribute("src");
+  const current = includeLoads.get(include);
+  if (current?.src === src) return current.promise;
+  
+  include.removeAttribute("error");
+  include.setAttribute("loading", "");
+  
+  const promise = loadComponent(src).then(() => {
+    include.removeAttribute("loading");
+    include.dispatchEvent(new Event("load"));
+    include.remove();
+  }, (error) => {
+    // Ignore failures of a src that has since been replaced
+    if (includeLoads.get(include)?.promise !== promise) return;
+    
+    console.error(`ui-include error for ${src}:`, error.message);
+    include.removeAttribute("loading");
+    include.setAttribute("error", "");
+    include.dispatchEvent(new CustomEvent("error", { detail: { error } }));
+  });
+  
+  includeLoads.set(include, { src, promise });
+  return promise;
 }
 
+// Process includes and autoload undefined elements added to the document
+// later (by bound templates, scripts or loaded markup), and reprocess
+// includes whose src changes. Shadow roots aren't observed; pass the root
+// to processIncludes.
+const documentObserver = new MutationObserver(mutations => {
+  for (const mutation of mutations) {
+    if (mutation.type === "attributes") {
+      const { target } = mutation;
+      if (target.isConnected && target.matches("ui-include[src]")) {
+        processInclude(target);
+      }
+      continue;
+    }
+    
+    for (const node of mutation.addedNodes) {
+      if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+        processIncludes(node);
+        autoloadElements(node);
+      }
+    }
+  }
+});
+
+documentObserver.observe(document, {
+  childList: true,
+  subtree: true,
+  attributeFilter: ["src"],
+});
+
 // Auto-process includes on DOMContentLoaded
 if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", processIncludes);
+  document.addEventListener("DOMContentLoaded", () => processIncludes());
 } else {
   processIncludes();
 }
 
 // Make reactive available for convenience
-export { reactive, effect };
\ No newline at end of file
+export { reactive, effect, stop };
\ No newline at end of file
@@ -0,0 +1 @@
+export const initialCount = 3;